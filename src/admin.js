@@ -0,0 +1,280 @@
+// Admin page: shows every room and player and drives the admin HTTP API
+// (src/server/admin.js) with the token entered on the page
+import { WEAPONS } from './constants.js';
+import './shared/prng.js';
+
+const { MAX_SEED, isValidSeed } = globalThis.SharedPrng;
+
+const REFRESH_INTERVAL = 2000; // How often the room list is reloaded (ms)
+
+let token = sessionStorage.getItem('adminToken') || '';
+let mapNames = []; // Map files the server can play
+const roomViews = new Map(); // room ID -> the room's section of the page, see createRoomView
+
+const emptyNotice = document.createElement('p');
+emptyNotice.textContent = 'No rooms open';
+emptyNotice.hidden = true; // Until the first room list arrives
+document.getElementById('rooms').appendChild(emptyNotice);
+
+function setStatus(text) {
+    document.getElementById('status').textContent = text;
+}
+
+// Call the admin API, reporting failures on the page. Resolves to the response body or null
+function request(method, path, body) {
+    return fetch(`/api/admin${path}`, {
+        method: method,
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    })
+        .then(response => response.json().then(data => {
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            setStatus('');
+            return data;
+        }))
+        .catch(error => {
+            setStatus(error.message);
+            return null;
+        });
+}
+
+function button(label, onClick) {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.addEventListener('click', onClick);
+    return element;
+}
+
+function cell(row, content) {
+    const element = document.createElement('td');
+    if (content instanceof Node) {
+        element.appendChild(content);
+    } else {
+        element.textContent = content;
+    }
+    row.appendChild(element);
+}
+
+function formatSeconds(ms) {
+    return ms === null ? '-' : `${Math.ceil(ms / 1000)}s`;
+}
+
+function formatZone(zone) {
+    if (zone.phase > zone.phaseCount) return `zone ${zone.radius.toFixed(1)}`;
+    return `zone ${zone.radius.toFixed(1)} phase ${zone.phase}/${zone.phaseCount}, ` +
+        `${zone.shrinking ? 'shrinking' : 'shrinks in'} ${formatSeconds(zone.timeRemaining)}`;
+}
+
+// Ask for a new phase schedule as JSON, starting from the room's current one
+function editZonePhases(room) {
+    const text = prompt(
+        'Zone phases from the next match (wait and shrink in seconds, radius as a share of half the arena size):',
+        JSON.stringify(room.zonePhases)
+    );
+    if (text === null) return;
+
+    let phases;
+    try {
+        phases = JSON.parse(text);
+    } catch (error) {
+        setStatus(`Zone phases are not valid JSON: ${error.message}`);
+        return;
+    }
+    request('POST', `/rooms/${room.id}/zone`, { phases: phases }).then(refresh);
+}
+
+// Build a room's section once. Refreshes only update its text and player
+// table (updateRoomView), so whatever the admin is typing or picking in the
+// controls survives them
+function createRoomView(roomId) {
+    const view = { room: null };
+
+    view.container = document.createElement('div');
+    view.container.className = 'room';
+
+    // Match state and controls
+    const header = document.createElement('div');
+    header.className = 'room-header';
+    view.summary = document.createElement('span');
+    header.appendChild(view.summary);
+    header.appendChild(button('Start match', () => request('POST', `/rooms/${roomId}/start`).then(refresh)));
+    header.appendChild(button('End match', () => request('POST', `/rooms/${roomId}/end`).then(refresh)));
+
+    header.appendChild(button('Zone phases for next match', () => editZonePhases(view.room)));
+
+    const seedInput = document.createElement('input');
+    seedInput.type = 'number';
+    seedInput.min = 0;
+    seedInput.max = MAX_SEED;
+    seedInput.className = 'seed-input';
+    seedInput.title = 'Seed for the next map';
+    header.appendChild(seedInput);
+    header.appendChild(button('Set next map seed', () => {
+        // An empty field would become seed 0
+        const seed = seedInput.value.trim() === '' ? NaN : Number(seedInput.value);
+        if (!isValidSeed(seed)) {
+            setStatus(`Enter a whole number seed from 0 to ${MAX_SEED}`);
+            return;
+        }
+        request('POST', `/rooms/${roomId}/map`, { seed: seed }).then(refresh);
+    }));
+
+    view.mapSelect = document.createElement('select');
+    header.appendChild(view.mapSelect);
+    header.appendChild(button('Set next map', () => {
+        if (!view.mapSelect.value) {
+            setStatus('The server has no map files to pick from');
+            return;
+        }
+        request('POST', `/rooms/${roomId}/map`, { name: view.mapSelect.value }).then(refresh);
+    }));
+    view.container.appendChild(header);
+
+    // Players
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Name</th><th>Status</th><th>Health</th><th>Weapon</th>' +
+        '<th>Position</th><th>Kills</th><th>Ping</th><th>Address</th><th>Rate limited</th><th>Invalid</th><th></th></tr></thead>';
+    view.rows = document.createElement('tbody');
+    table.appendChild(view.rows);
+    view.container.appendChild(table);
+
+    return view;
+}
+
+// Offer the server's map files in a select. It is only rebuilt when the list
+// changed, and keeps the map the admin picked if it's still there
+function setMapOptions(select, names) {
+    const current = Array.from(select.options).map(option => option.value);
+    if (current.length === names.length && current.every((name, i) => name === names[i])) return;
+
+    const picked = select.value;
+    select.textContent = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    if (names.includes(picked)) select.value = picked;
+}
+
+// Show a room's latest state in its section
+function updateRoomView(view, room) {
+    view.room = room;
+    setMapOptions(view.mapSelect, mapNames);
+    view.summary.textContent =
+        `Room ${room.id} - ${room.matchState} (${formatSeconds(room.timeRemaining)}), ` +
+        `${formatZone(room.zone)}, ` +
+        `map ${room.mapName}` + (room.mapSeed !== null ? ` (seed ${room.mapSeed})` : '') +
+        (room.nextMap ? `, next map ${room.nextMap.name || `seed ${room.nextMap.seed}`}` : '');
+
+    view.rows.textContent = '';
+    room.players.forEach(player => {
+        const row = document.createElement('tr');
+        const weapon = WEAPONS[player.weapon];
+        const status = !player.connected ? 'Reconnecting' : player.isAlive ? 'Alive' : player.isSpectator ? 'Spectating' : 'Eliminated';
+
+        cell(row, player.name);
+        cell(row, status);
+        cell(row, Math.round(player.health));
+        cell(row, weapon ? weapon.name : player.weapon);
+        cell(row, `${player.position.x.toFixed(1)}, ${player.position.z.toFixed(1)}`);
+        cell(row, player.kills);
+        cell(row, player.ping === null ? '-' : `${player.ping} ms`);
+        cell(row, player.address || '-');
+        cell(row, player.rateLimitHits);
+        cell(row, player.invalidMessages);
+
+        const actions = document.createElement('span');
+        actions.appendChild(button('Kick', () => {
+            const reason = prompt(`Kick ${player.name}? Reason:`, 'Kicked by an admin');
+            if (reason !== null) request('POST', `/players/${player.id}/kick`, { reason: reason }).then(refresh);
+        }));
+        actions.appendChild(button('Ban', () => {
+            const reason = prompt(`Ban ${player.name}? Reason:`, 'Banned by an admin');
+            if (reason !== null) request('POST', `/players/${player.id}/ban`, { reason: reason }).then(refresh);
+        }));
+        cell(row, actions);
+
+        view.rows.appendChild(row);
+    });
+}
+
+// Show every open room, keeping the sections of rooms we already show
+function renderRooms(rooms) {
+    const container = document.getElementById('rooms');
+    const open = new Set(rooms.map(room => room.id));
+
+    roomViews.forEach((view, roomId) => {
+        if (open.has(roomId)) return;
+        view.container.remove();
+        roomViews.delete(roomId);
+    });
+
+    emptyNotice.hidden = rooms.length > 0;
+    rooms.forEach(room => {
+        let view = roomViews.get(room.id);
+        if (!view) {
+            view = createRoomView(room.id);
+            roomViews.set(room.id, view);
+            container.appendChild(view.container);
+        }
+        updateRoomView(view, room);
+    });
+}
+
+function renderBans(bans) {
+    const rows = document.getElementById('ban-rows');
+    rows.textContent = '';
+
+    bans.forEach(ban => {
+        const row = document.createElement('tr');
+        cell(row, ban.name);
+        cell(row, ban.address || '-');
+        cell(row, ban.reason);
+        cell(row, new Date(ban.bannedAt).toLocaleString());
+        cell(row, button('Unban', () => {
+            request('DELETE', `/bans/${encodeURIComponent(ban.name)}`).then(refresh);
+        }));
+        rows.appendChild(row);
+    });
+}
+
+// Reload maps, rooms and bans
+function refresh() {
+    if (!token) return;
+
+    request('GET', '/maps').then(data => {
+        if (data) mapNames = data.maps;
+        return request('GET', '/rooms');
+    }).then(data => {
+        if (!data) return;
+
+        renderRooms(data.rooms);
+    });
+    request('GET', '/bans').then(data => {
+        if (data) renderBans(data.bans);
+    });
+}
+
+document.getElementById('token-input').value = token;
+document.getElementById('token-form').addEventListener('submit', event => {
+    event.preventDefault();
+    token = document.getElementById('token-input').value;
+    sessionStorage.setItem('adminToken', token);
+    refresh();
+});
+
+document.getElementById('broadcast-form').addEventListener('submit', event => {
+    event.preventDefault();
+    const input = document.getElementById('broadcast-input');
+    request('POST', '/broadcast', { message: input.value }).then(data => {
+        if (data) input.value = '';
+    });
+});
+
+refresh();
+setInterval(refresh, REFRESH_INTERVAL);
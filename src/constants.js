@@ -1,12 +1,36 @@
+// Shared modules register themselves on globalThis in the browser
+import './shared/weapons.js';
+import './shared/consumables.js';
+
 // Game version
 export const VERSION = "0.0.3";
 
-// Weapon system
-export const WEAPONS = [
-    { name: "Kitchen Knife", damage: 25, range: 2, projectile: false, cooldown: 200, color: 0xcccccc },
-    { name: "Cricket Bat", damage: 35, range: 3, projectile: false, cooldown: 400, color: 0x8B4513 },
-    { name: "Crossbow", damage: 50, range: 15, projectile: true, cooldown: 800, color: 0x8B4513 }
-];
+// Remote players are rendered this many milliseconds behind server time
+export const INTERPOLATION_DELAY = 100;
+
+// Longest we keep moving a remote player past its last known state (ms)
+export const MAX_EXTRAPOLATION = 250;
+
+// Prediction errors larger than this (world units) snap instead of smoothing
+export const RECONCILE_SNAP_DISTANCE = 2;
+
+// Fraction of a smoothed correction removed each frame
+export const CORRECTION_SMOOTHING = 0.15;
+
+// Unacknowledged inputs kept for replay
+export const MAX_PENDING_INPUTS = 120;
+
+// Height of the game camera above the ground (spectators follow players from here too)
+export const CAMERA_HEIGHT = 20;
+
+// Height of the free-fly spectator camera, high enough to see most of the arena
+export const OVERVIEW_CAMERA_HEIGHT = 60;
+
+// Free-fly spectator camera speed in world units per second
+export const FREE_CAMERA_SPEED = 30;
+
+// Weapon system (shared with the server, see src/shared/weapons.js)
+export const WEAPONS = globalThis.SharedWeapons.WEAPONS;
 
 // British gang slang messages
 export const ENEMY_MESSAGES = [
@@ -36,6 +60,7 @@ export const COLORS = {
     GROUND: 0x777777, // Asphalt
     BUILDING: 0xaaaaaa, // Gray buildings
     GRASS: 0x669933, // British lawn
+    COVER: 0x8b5a2b, // Crates and barriers
     PLAYER: 0x0000ff, // Blue player
     ENEMY: 0xff0000, // Red enemies
     PROJECTILE: 0xffff00 // Yellow projectiles
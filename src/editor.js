@@ -0,0 +1,445 @@
+// Map editor page: place, move, resize and delete the objects of a map
+// document (src/shared/map-format.js), then save it as JSON for the maps/
+// directory. Open editor.html?map=docklands to start from a map the server has
+import { COLORS } from './constants.js';
+import { createMapObjects } from './entities/environment.js';
+import THREE from './three-module.js';
+import './shared/map-format.js';
+
+const { MAP_OBJECT_TYPES, MIN_ARENA_SIZE, MAX_ARENA_SIZE, createEmptyMap, validateMap, toLayout } = globalThis.SharedMapFormat;
+
+const PANEL_WIDTH = 260; // Matches the canvas margin in styles/editor.css
+const GRID_STEP = 0.5; // Positions and sizes snap to this
+const PAN_SPEED = 40; // World units per second
+const MIN_CAMERA_HEIGHT = 10;
+const MAX_CAMERA_HEIGHT = 600;
+const POINT_PICK_RADIUS = 1.5; // How close a click must be to select a point
+const MARKER_HEIGHT = 0.05; // Just above the grass
+
+// What each tool adds to the map
+const TOOLS = [
+    { id: 'select', label: 'Select' },
+    { id: 'buildings', label: 'Building', create: (x, z) => ({ position: { x, z }, size: { x: 8, y: 5, z: 6 }, color: 0.05, lightness: 0.6 }) },
+    { id: 'cover', label: 'Cover', create: (x, z) => ({ position: { x, z }, size: { x: 3, y: 1.2, z: 1 } }) },
+    { id: 'grass', label: 'Grass', create: (x, z) => ({ position: { x, z }, size: 6 }) },
+    { id: 'spawnPoints', label: 'Spawn point', create: (x, z) => ({ x, z }) },
+    { id: 'lootSpots', label: 'Loot spot', create: (x, z) => ({ x, z }) },
+    { id: 'zoneEndCircles', label: 'Zone end circle', create: (x, z) => ({ x, z, radius: 10 }) }
+];
+
+// Editable numbers for each kind of object: label and path into the object
+const FIELDS = {
+    box: [
+        ['X', 'position.x'], ['Z', 'position.z'],
+        ['Width', 'size.x'], ['Height', 'size.y'], ['Depth', 'size.z'],
+        ['Hue', 'color'], ['Lightness', 'lightness']
+    ],
+    patch: [['X', 'position.x'], ['Z', 'position.z'], ['Size', 'size']],
+    point: [['X', 'x'], ['Z', 'z']],
+    circle: [['X', 'x'], ['Z', 'z'], ['Radius', 'radius']]
+};
+
+function snap(value) {
+    return Math.round(value / GRID_STEP) * GRID_STEP;
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === undefined ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], object)[last] = value;
+}
+
+// Ground position of any map object
+function centreOf(object) {
+    return object.position || object;
+}
+
+function setCentre(object, x, z) {
+    const centre = centreOf(object);
+    centre.x = x;
+    centre.z = z;
+}
+
+// Whether a ground point is on an object, and how big the object is so
+// overlapping objects can prefer the smallest
+function hitTest(object, kind, x, z) {
+    const centre = centreOf(object);
+    const dx = Math.abs(x - centre.x);
+    const dz = Math.abs(z - centre.z);
+
+    switch (kind) {
+        case 'box':
+            return dx <= object.size.x / 2 && dz <= object.size.z / 2 ? object.size.x * object.size.z : null;
+        case 'patch':
+            return dx <= object.size / 2 && dz <= object.size / 2 ? object.size * object.size : null;
+        case 'circle':
+            return Math.hypot(dx, dz) <= object.radius ? Math.PI * object.radius * object.radius : null;
+        default:
+            return Math.hypot(dx, dz) <= POINT_PICK_RADIUS ? 0 : null;
+    }
+}
+
+class MapEditor {
+    constructor() {
+        this.map = createEmptyMap();
+        this.tool = 'select';
+        this.selected = null; // { list, index } of the selected object
+        this.dragging = false;
+        this.keys = {};
+        this.lastFrame = performance.now();
+
+        this.setupScene();
+        this.setupPanel();
+        this.setupInput();
+        this.loadFromUrl();
+        this.rebuild();
+        this.animate();
+    }
+
+    setupScene() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x222222);
+        this.scene.add(new THREE.AmbientLight(0x808080));
+        const light = new THREE.DirectionalLight(0xffffff, 0.8);
+        light.position.set(5, 10, 5);
+        this.scene.add(light);
+
+        // Top-down camera, panned and zoomed from the keyboard and mouse wheel
+        this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 2000);
+        this.cameraHeight = 120;
+        this.cameraTarget = new THREE.Vector3(0, 0, 0);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        document.body.appendChild(this.renderer.domElement);
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+
+        this.mapGroup = new THREE.Group(); // Everything drawn for the map, rebuilt on each edit
+        this.scene.add(this.mapGroup);
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    }
+
+    resize() {
+        const width = Math.max(1, window.innerWidth - PANEL_WIDTH);
+        this.camera.aspect = width / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, window.innerHeight);
+    }
+
+    setupPanel() {
+        const tools = document.getElementById('tools');
+        TOOLS.forEach(tool => {
+            const button = document.createElement('button');
+            button.textContent = tool.label;
+            button.dataset.tool = tool.id;
+            button.addEventListener('click', () => this.setTool(tool.id));
+            tools.appendChild(button);
+        });
+        this.setTool('select');
+
+        document.getElementById('map-name').addEventListener('change', (event) => {
+            this.map.name = event.target.value.trim();
+        });
+        document.getElementById('arena-size').addEventListener('change', (event) => {
+            const size = Number(event.target.value);
+            if (!(size >= MIN_ARENA_SIZE && size <= MAX_ARENA_SIZE)) {
+                this.setStatus(`Arena size must be between ${MIN_ARENA_SIZE} and ${MAX_ARENA_SIZE}`);
+                event.target.value = this.map.arenaSize;
+                return;
+            }
+            this.map.arenaSize = size;
+            this.rebuild();
+        });
+
+        document.getElementById('new-map').addEventListener('click', () => {
+            if (!confirm('Discard this map and start a new one?')) return;
+            this.setMap(createEmptyMap());
+        });
+        document.getElementById('save-map').addEventListener('click', () => this.save());
+
+        const fileInput = document.getElementById('open-file');
+        document.getElementById('open-map').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            file.text()
+                .then(text => this.openMap(JSON.parse(text), file.name))
+                .catch(error => this.setStatus(`Could not open ${file.name}: ${error.message}`));
+        });
+    }
+
+    setupInput() {
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('mousedown', (event) => this.onMouseDown(event));
+        canvas.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        window.addEventListener('mouseup', () => {
+            this.dragging = false;
+        });
+        canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.cameraHeight *= event.deltaY > 0 ? 1.1 : 1 / 1.1;
+            this.cameraHeight = Math.max(MIN_CAMERA_HEIGHT, Math.min(MAX_CAMERA_HEIGHT, this.cameraHeight));
+        }, { passive: false });
+
+        document.addEventListener('keydown', (event) => {
+            // Typing in the panel shouldn't pan the view or delete objects
+            if (event.target.tagName === 'INPUT') return;
+
+            if ((event.key === 'Delete' || event.key === 'Backspace') && this.selected) {
+                event.preventDefault();
+                this.map[this.selected.list].splice(this.selected.index, 1);
+                this.select(null);
+                this.rebuild();
+                return;
+            }
+            this.keys[event.key.toLowerCase()] = true;
+        });
+        document.addEventListener('keyup', (event) => {
+            this.keys[event.key.toLowerCase()] = false;
+        });
+    }
+
+    // Start from ?map=<name>, one of the server's maps/ files
+    loadFromUrl() {
+        const name = new URLSearchParams(window.location.search).get('map');
+        if (!name) {
+            this.setMap(this.map);
+            return;
+        }
+
+        fetch(`maps/${encodeURIComponent(name)}.json`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(map => this.openMap(map, `${name}.json`))
+            .catch(error => {
+                this.setStatus(`Could not load map "${name}": ${error.message}`);
+                this.setMap(this.map);
+            });
+    }
+
+    // Open a map document, refusing anything that isn't a valid map
+    openMap(map, fileName) {
+        const error = validateMap(map);
+        if (error) {
+            this.setStatus(`${fileName} is not a valid map: ${error}`);
+            return;
+        }
+        this.setMap(map);
+        this.setStatus(`Opened ${fileName}`, true);
+    }
+
+    setMap(map) {
+        this.map = map;
+        document.getElementById('map-name').value = map.name;
+        document.getElementById('arena-size').value = map.arenaSize;
+        this.select(null);
+        this.rebuild();
+    }
+
+    // Check the map and download it as <name>.json
+    save() {
+        const error = validateMap(this.map);
+        if (error) {
+            this.setStatus(`Can't save: ${error}`);
+            return;
+        }
+
+        const fileName = `${this.map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map'}.json`;
+        const blob = new Blob([JSON.stringify(this.map, null, 4) + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.setStatus(`Saved ${fileName} - put it in maps/ and add it to maps/rotation.json`, true);
+    }
+
+    setStatus(text, ok = false) {
+        const status = document.getElementById('editor-status');
+        status.textContent = text;
+        status.classList.toggle('ok', ok);
+    }
+
+    setTool(id) {
+        this.tool = id;
+        document.querySelectorAll('#tools button').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === id);
+        });
+    }
+
+    // Ground position under the mouse, or null if it's pointing at the sky
+    groundPoint(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.camera);
+        const point = new THREE.Vector3();
+        return this.raycaster.ray.intersectPlane(this.groundPlane, point) ? point : null;
+    }
+
+    // Smallest object under a ground point, or null
+    pick(x, z) {
+        let best = null;
+        Object.keys(MAP_OBJECT_TYPES).forEach(list => {
+            this.map[list].forEach((object, index) => {
+                const area = hitTest(object, MAP_OBJECT_TYPES[list], x, z);
+                if (area !== null && (!best || area < best.area)) {
+                    best = { list, index, area };
+                }
+            });
+        });
+        return best ? { list: best.list, index: best.index } : null;
+    }
+
+    onMouseDown(event) {
+        if (event.button !== 0) return;
+        const point = this.groundPoint(event);
+        if (!point) return;
+
+        const x = snap(point.x);
+        const z = snap(point.z);
+        const tool = TOOLS.find(candidate => candidate.id === this.tool);
+
+        if (tool.create) {
+            this.map[tool.id].push(tool.create(x, z));
+            this.select({ list: tool.id, index: this.map[tool.id].length - 1 });
+        } else {
+            this.select(this.pick(point.x, point.z));
+            this.dragging = this.selected !== null;
+        }
+        this.rebuild();
+    }
+
+    onMouseMove(event) {
+        if (!this.dragging || !this.selected) return;
+        const point = this.groundPoint(event);
+        if (!point) return;
+
+        setCentre(this.map[this.selected.list][this.selected.index], snap(point.x), snap(point.z));
+        this.rebuild();
+        this.renderProperties();
+    }
+
+    select(selection) {
+        this.selected = selection;
+        this.renderProperties();
+    }
+
+    // Number inputs for the selected object's position and size
+    renderProperties() {
+        const panel = document.getElementById('properties');
+        panel.innerHTML = '';
+        if (!this.selected) {
+            panel.textContent = 'Nothing selected';
+            return;
+        }
+
+        const { list, index } = this.selected;
+        const object = this.map[list][index];
+        const title = document.createElement('div');
+        title.textContent = `${TOOLS.find(tool => tool.id === list).label} ${index + 1}`;
+        panel.appendChild(title);
+
+        FIELDS[MAP_OBJECT_TYPES[list]].forEach(([label, path]) => {
+            const field = document.createElement('div');
+            field.className = 'field';
+            const labelElement = document.createElement('label');
+            labelElement.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = path === 'color' || path === 'lightness' ? '0.05' : String(GRID_STEP);
+            const value = getPath(object, path);
+            input.value = value === undefined ? '' : value;
+            input.addEventListener('change', () => {
+                // Leaving the optional hue or lightness empty uses the default
+                if (input.value === '' && (path === 'color' || path === 'lightness')) {
+                    delete object[path];
+                } else if (Number.isFinite(Number(input.value)) && input.value !== '') {
+                    setPath(object, path, Number(input.value));
+                }
+                this.rebuild();
+            });
+            field.append(labelElement, input);
+            panel.appendChild(field);
+        });
+    }
+
+    // Redraw the map from the document: the game's own meshes, plus markers
+    // for the points and circles players never see
+    rebuild() {
+        this.mapGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.mapGroup.clear();
+        createMapObjects(this.mapGroup, toLayout(this.map), COLORS);
+
+        const addMarker = (geometry, color, x, z, selected) => {
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color: selected ? 0xffffff : color,
+                side: THREE.DoubleSide
+            }));
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.set(x, MARKER_HEIGHT, z);
+            this.mapGroup.add(mesh);
+        };
+        const isSelected = (list, index) => this.selected && this.selected.list === list && this.selected.index === index;
+
+        this.map.spawnPoints.forEach((point, index) => {
+            addMarker(new THREE.CircleGeometry(1, 16), 0x33cc33, point.x, point.z, isSelected('spawnPoints', index));
+        });
+        this.map.lootSpots.forEach((point, index) => {
+            addMarker(new THREE.PlaneGeometry(1.4, 1.4), 0xffcc00, point.x, point.z, isSelected('lootSpots', index));
+        });
+        this.map.zoneEndCircles.forEach((circle, index) => {
+            addMarker(new THREE.RingGeometry(circle.radius - 0.3, circle.radius, 64), 0x3399ff, circle.x, circle.z, isSelected('zoneEndCircles', index));
+        });
+
+        // Outline the selected box or grass patch
+        if (this.selected && ['box', 'patch'].includes(MAP_OBJECT_TYPES[this.selected.list])) {
+            const object = this.map[this.selected.list][this.selected.index];
+            const width = typeof object.size === 'number' ? object.size : object.size.x;
+            const depth = typeof object.size === 'number' ? object.size : object.size.z;
+            const height = typeof object.size === 'number' ? 0.1 : object.size.y;
+            const outline = new THREE.LineSegments(
+                new THREE.EdgesGeometry(new THREE.BoxGeometry(width, height, depth)),
+                new THREE.LineBasicMaterial({ color: 0xffffff })
+            );
+            outline.position.set(object.position.x, height / 2, object.position.z);
+            this.mapGroup.add(outline);
+        }
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
+
+        const now = performance.now();
+        const delta = Math.min((now - this.lastFrame) / 1000, 0.1);
+        this.lastFrame = now;
+
+        // Pan faster when zoomed out
+        const step = PAN_SPEED * delta * (this.cameraHeight / 120);
+        if (this.keys.w || this.keys.arrowup) this.cameraTarget.z -= step;
+        if (this.keys.s || this.keys.arrowdown) this.cameraTarget.z += step;
+        if (this.keys.a || this.keys.arrowleft) this.cameraTarget.x -= step;
+        if (this.keys.d || this.keys.arrowright) this.cameraTarget.x += step;
+
+        this.camera.position.set(this.cameraTarget.x, this.cameraHeight, this.cameraTarget.z + 0.01);
+        this.camera.lookAt(this.cameraTarget);
+        this.renderer.render(this.scene, this.camera);
+    }
+}
+
+window.addEventListener('load', () => {
+    new MapEditor();
+});
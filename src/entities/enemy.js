@@ -1,12 +1,15 @@
 import { checkCollision } from '../utils/collision.js';
-import { showFloatingMessage } from '../ui.js';
+import { showFloatingMessage, createNameTag } from '../ui.js';
+import { SnapshotBuffer } from '../utils/interpolation.js';
+import { MAX_EXTRAPOLATION } from '../constants.js';
 import THREE from '../three-module.js';
 
 // Multiplayer implementation will replace NPC enemies
 export class Enemy {
-    constructor(scene, game, position, weaponIndex) {
+    constructor(scene, game, position, weaponIndex, name) {
         this.scene = scene;
         this.game = game;
+        this.name = name || 'Player';
         this.position = position.clone();
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.rotation = 0;
@@ -25,9 +28,50 @@ export class Enemy {
         
         this.messageSprite = null;
         
+        // Server states waiting to be rendered
+        this.stateBuffer = new SnapshotBuffer();
+        
         this.createModel();
     }
     
+    // Queue a server state for interpolation
+    pushState(time, position, rotation) {
+        this.stateBuffer.push(time, position, rotation);
+    }
+    
+    // Latest health and weapon from the server, shown to spectators
+    setStatus(health, weaponIndex) {
+        this.health = health;
+        if (this.game.weapons[weaponIndex]) {
+            this.weapon = this.game.weapons[weaponIndex];
+        }
+    }
+    
+    // Jump straight to a position (e.g. respawn), discarding buffered states
+    snapTo(position, rotation) {
+        this.stateBuffer.clear();
+        this.position.set(position.x, position.y, position.z);
+        this.rotation = rotation;
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+            this.mesh.rotation.y = this.rotation;
+        }
+    }
+    
+    // Move the model to where the server says we were at renderTime
+    update(renderTime) {
+        const state = this.stateBuffer.sample(renderTime, MAX_EXTRAPOLATION);
+        if (!state) return;
+        
+        this.position.set(state.x, state.y, state.z);
+        this.rotation = state.rotation;
+        
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+            this.mesh.rotation.y = this.rotation;
+        }
+    }
+    
     createModel() {
         // Enemy 3D model
         const geometry = new THREE.BoxGeometry(1, 1, 1);
@@ -45,6 +89,11 @@ export class Enemy {
         marker.position.y = 1.5; // Position above the player
         this.mesh.add(marker);
         
+        // Name tag above the marker
+        const nameTag = createNameTag(this.name);
+        nameTag.position.y = 2.2;
+        this.mesh.add(nameTag);
+        
         // Ensure weapon is defined
         if (!this.weapon) {
             this.weapon = { name: "Fists", damage: 10, range: 1, projectile: false, cooldown: 200, color: 0xcccccc };
@@ -35,6 +35,55 @@ export function createEnvironment(scene, game) {
     }
 }
 
+// Add a map layout (see toLayout in src/shared/map-format.js) to the scene:
+// ground, buildings, cover and grass. Returns the obstacles for collision
+// detection, each with the mesh that draws it
+export function createMapObjects(scene, layout, colors) {
+    const obstacles = [];
+    
+    // Create ground
+    const groundGeometry = new THREE.PlaneGeometry(layout.arenaSize, layout.arenaSize);
+    const groundMaterial = new THREE.MeshLambertMaterial({ color: colors.GROUND });
+    const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    scene.add(ground);
+    
+    const addBox = (box, material) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(box.size.x, box.size.y, box.size.z), material);
+        mesh.position.set(box.position.x, box.position.y, box.position.z);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        scene.add(mesh);
+        
+        obstacles.push({
+            position: new THREE.Vector3(box.position.x, 0, box.position.z),
+            size: new THREE.Vector3(box.size.x, box.size.y, box.size.z),
+            mesh: mesh
+        });
+    };
+    
+    layout.buildings.forEach(building => {
+        addBox(building, new THREE.MeshLambertMaterial({
+            color: new THREE.Color().setHSL(building.color, 0.2, building.lightness)
+        }));
+    });
+    
+    const coverMaterial = new THREE.MeshLambertMaterial({ color: colors.COVER });
+    layout.cover.forEach(cover => addBox(cover, coverMaterial));
+    
+    const grassMaterial = new THREE.MeshLambertMaterial({ color: colors.GRASS });
+    layout.grassPatches.forEach(patch => {
+        const grass = new THREE.Mesh(new THREE.PlaneGeometry(patch.size, patch.size), grassMaterial);
+        grass.rotation.x = -Math.PI / 2;
+        grass.position.set(patch.position.x, patch.position.y, patch.position.z);
+        grass.receiveShadow = true;
+        scene.add(grass);
+    });
+    
+    return obstacles;
+}
+
 // Deprecated - kept for backward compatibility
 function createBuilding(scene, game) {
     console.log("Building creation is now handled via server-provided map data");
@@ -0,0 +1,85 @@
+import THREE from '../three-module.js';
+import '../shared/consumables.js';
+import '../shared/loot.js';
+
+const { PICKUP_KINDS } = globalThis.SharedLoot;
+const { CONSUMABLES } = globalThis.SharedConsumables;
+
+const PICKUP_HEIGHT = 0.6; // Where pickups float above the ground
+const BOB_HEIGHT = 0.15;
+const SPIN_SPEED = 1.5; // Radians per second
+const AMMO_BOX_COLOR = 0x556b2f; // Army green
+
+// Mesh for an item lying on the ground: a small model of it spinning above a
+// ring, so loot stands out from the map
+export function createPickupMesh(scene, pickup, weapons) {
+    const group = new THREE.Group();
+    group.position.set(pickup.position.x, 0, pickup.position.z);
+
+    if (pickup.kind === PICKUP_KINDS.WEAPON) {
+        const weapon = weapons[pickup.item];
+        const geometry = weapon.projectile
+            ? new THREE.BoxGeometry(0.8, 0.2, 0.2)
+            : new THREE.BoxGeometry(0.1, 0.1, 0.6);
+        const model = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: weapon.color }));
+        model.position.y = PICKUP_HEIGHT;
+        group.add(model);
+        group.userData.model = model;
+    } else if (pickup.kind === PICKUP_KINDS.AMMO) {
+        // Ammo box with a lid in the colour of the weapon it's for
+        const box = new THREE.Group();
+        const base = new THREE.Mesh(
+            new THREE.BoxGeometry(0.5, 0.3, 0.35),
+            new THREE.MeshLambertMaterial({ color: AMMO_BOX_COLOR })
+        );
+        const lid = new THREE.Mesh(
+            new THREE.BoxGeometry(0.52, 0.06, 0.37),
+            new THREE.MeshLambertMaterial({ color: weapons[pickup.item].color })
+        );
+        lid.position.y = 0.17;
+        box.add(base, lid);
+        box.position.y = PICKUP_HEIGHT;
+        group.add(box);
+        group.userData.model = box;
+    } else if (pickup.kind === PICKUP_KINDS.CONSUMABLE) {
+        const model = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 0.25, 0.4),
+            new THREE.MeshLambertMaterial({ color: CONSUMABLES[pickup.item].color })
+        );
+        model.position.y = PICKUP_HEIGHT;
+        group.add(model);
+        group.userData.model = model;
+    }
+
+    const ring = new THREE.Mesh(
+        new THREE.RingGeometry(0.5, 0.65, 24),
+        new THREE.MeshBasicMaterial({ color: 0xffcc00, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.02;
+    group.add(ring);
+
+    scene.add(group);
+    return group;
+}
+
+// Spin and bob every pickup model. time is in seconds
+export function animatePickups(pickups, time) {
+    pickups.forEach(({ mesh }) => {
+        const model = mesh.userData.model;
+        if (!model) return;
+
+        // Offset by position so neighbouring pickups don't move in lockstep
+        const phase = time * SPIN_SPEED + mesh.position.x + mesh.position.z;
+        model.rotation.y = phase;
+        model.position.y = PICKUP_HEIGHT + Math.sin(phase * 2) * BOB_HEIGHT;
+    });
+}
+
+export function removePickupMesh(scene, mesh) {
+    scene.remove(mesh);
+    mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
@@ -1,17 +1,21 @@
-import { checkCollision } from '../utils/collision.js';
 import { showMessage } from '../ui.js';
+import { RECONCILE_SNAP_DISTANCE, CORRECTION_SMOOTHING, MAX_PENDING_INPUTS } from '../constants.js';
 import { createProjectile } from './projectile.js';
 import THREE from '../three-module.js';
+import '../shared/movement.js';
+import '../shared/protocol.js';
+
+const { PLAYER_SPEED, PLAYER_SIZE, PLAYER_HEIGHT, applyMovementInput } = globalThis.SharedMovement;
+const { quantizeAngle } = globalThis.SharedProtocol;
 
 export class Player {
     constructor(scene, game) {
         this.scene = scene;
         this.game = game;
-        this.position = new THREE.Vector3(0, 0.5, 0);
-        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.position = new THREE.Vector3(0, PLAYER_HEIGHT, 0);
         this.rotation = 0;
-        this.speed = 0.15;
-        this.size = 1;
+        this.speed = PLAYER_SPEED;
+        this.size = PLAYER_SIZE;
         this.keys = { up: false, down: false, left: false, right: false };
         this.mouse = new THREE.Vector2();
         this.health = 100;
@@ -19,6 +23,12 @@ export class Player {
         this.lastAttackTime = 0;
         this.isDead = false;
         
+        // Client-side prediction state
+        this.inputSequence = 0;
+        this.pendingInputs = [];
+        this.inputTimeCarry = 0; // Fraction of a millisecond not yet sent, see update
+        this.renderOffset = new THREE.Vector3(); // Visual offset left over from smoothed corrections
+        
         this.createModel();
     }
     
@@ -63,60 +73,94 @@ export class Player {
         this.currentWeapon = weapon;
         this.updateWeaponModel();
         this.game.updateUI();
+        
+        // Server needs to know the weapon to resolve damage
+        this.game.sendWeaponSwitch(this.game.weapons.indexOf(weapon));
     }
     
-    update() {
+    // Sample the keys into a movement input, apply it locally straight away
+    // (client-side prediction) and return it so it can be sent to the server
+    update(dt) {
         // Skip movement if player is dead
         if (this.isDead) {
-            return;
+            return null;
         }
         
-        // Handle keyboard movement
-        this.velocity.x = 0;
-        this.velocity.z = 0;
+        // Predict with exactly what the server will apply: the binary encoding
+        // sends whole milliseconds and a quantised angle. Leftover fractions of
+        // a millisecond go into the next frame's input
+        const time = dt + this.inputTimeCarry;
+        const wholeDt = Math.round(time);
+        this.inputTimeCarry = time - wholeDt;
+        
+        const input = {
+            seq: ++this.inputSequence,
+            up: this.keys.up,
+            down: this.keys.down,
+            left: this.keys.left,
+            right: this.keys.right,
+            dt: wholeDt,
+            rotation: quantizeAngle(isNaN(this.rotation) ? 0 : this.rotation)
+        };
         
-        if (this.keys.up) this.velocity.z = -this.speed;
-        if (this.keys.down) this.velocity.z = this.speed;
-        if (this.keys.left) this.velocity.x = -this.speed;
-        if (this.keys.right) this.velocity.x = this.speed;
+        this.applyInput(input);
         
-        // Normalize velocity for diagonal movement
-        if (this.velocity.x !== 0 && this.velocity.z !== 0) {
-            this.velocity.normalize().multiplyScalar(this.speed);
+        // Remember the input until the server acknowledges it
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
         }
         
-        // Store old position for collision resolution
-        const oldPosition = this.position.clone();
+        this.updateModelPosition();
         
-        // Update position based on velocity
-        this.position.add(this.velocity);
+        return input;
+    }
+    
+    // Run one input through the shared movement rules
+    applyInput(input, position = this.position) {
+        applyMovementInput(position, input, this.game.obstacles, this.game.arenaSize);
+    }
+    
+    // Rewind to the server's position and replay the inputs it hasn't seen yet
+    reconcile(serverPosition, lastInput) {
+        // Drop inputs the server has already applied
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > lastInput);
         
-        // Check boundary collisions (keep player within play area)
-        if (this.game.battleRoyaleZoneSize) {
-            const maxDistance = this.game.battleRoyaleZoneSize / 2;
-            const distanceFromCenter = Math.sqrt(this.position.x * this.position.x + this.position.z * this.position.z);
-            
-            if (distanceFromCenter > maxDistance) {
-                // Keep player within zone
-                const angle = Math.atan2(this.position.z, this.position.x);
-                this.position.x = Math.cos(angle) * maxDistance;
-                this.position.z = Math.sin(angle) * maxDistance;
-            }
+        const predicted = this.position.clone();
+        const corrected = new THREE.Vector3(serverPosition.x, serverPosition.y, serverPosition.z);
+        this.pendingInputs.forEach(input => this.applyInput(input, corrected));
+        
+        const error = corrected.distanceTo(predicted);
+        if (error < 0.0001) return;
+        
+        this.position.copy(corrected);
+        
+        if (error > RECONCILE_SNAP_DISTANCE) {
+            // Too far off to hide - snap to the server's position
+            this.renderOffset.set(0, 0, 0);
+        } else {
+            // Small error - keep drawing where we were and blend towards the truth
+            this.renderOffset.add(predicted.sub(corrected));
         }
         
-        // Check collisions with obstacles
-        if (this.game.obstacles) {
-            for (const obstacle of this.game.obstacles) {
-                if (checkCollision(this.position, this.size, obstacle.position, obstacle.size)) {
-                    // Collision detected, revert to old position
-                    this.position.copy(oldPosition);
-                    break;
-                }
-            }
+        this.updateModelPosition();
+    }
+    
+    // Forget all predicted state (e.g. on respawn or reconnect)
+    resetPrediction() {
+        this.pendingInputs = [];
+        this.renderOffset.set(0, 0, 0);
+    }
+    
+    updateModelPosition() {
+        // Fade out any smoothed correction
+        this.renderOffset.multiplyScalar(1 - CORRECTION_SMOOTHING);
+        if (this.renderOffset.lengthSq() < 0.000001) {
+            this.renderOffset.set(0, 0, 0);
         }
         
         // Update model position
-        this.model.position.copy(this.position);
+        this.model.position.copy(this.position).add(this.renderOffset);
         
         // Face the direction of mouse cursor
         if (this.game.camera) {
@@ -138,17 +182,26 @@ export class Player {
             return;
         }
         
+        // Ranged weapons need a loaded round (an empty magazine starts a reload instead)
+        if (!this.game.hasRoundLoaded()) {
+            return;
+        }
+        
         this.lastAttackTime = now;
         
         // Get rotation for direction vector - handle potential NaN values
         const safeRotation = isNaN(this.rotation) ? 0 : this.rotation;
         
         if (this.currentWeapon.projectile) {
+            // Draw the shot with a spread roll of our own. The server rolls the one
+            // that counts and only accepts directions within the spread of our aim
+            const spread = (Math.random() * 2 - 1) * this.currentWeapon.spread;
+            
             // Create direction vector from player rotation
             const direction = new THREE.Vector3(
-                Math.sin(safeRotation),
+                Math.sin(safeRotation + spread),
                 0,
-                Math.cos(safeRotation)
+                Math.cos(safeRotation + spread)
             );
             
             // Validate direction vector
@@ -176,8 +229,9 @@ export class Player {
             
             // Send projectile info to server for multiplayer
             if (this.game.socket && this.game.socket.readyState === WebSocket.OPEN) {
-                this.game.sendAttack(null, true, origin, direction);
+                this.game.sendAttack(true, direction, origin);
             }
+            this.game.spendRound();
         } else {
             // Melee attack
             const direction = new THREE.Vector3(
@@ -194,7 +248,7 @@ export class Player {
             let hitAnyone = false;
             
             // Check for other players in melee range
-            this.game.otherPlayers.forEach((enemy, playerId) => {
+            this.game.otherPlayers.forEach(enemy => {
                 const distance = enemy.position.distanceTo(this.position);
                 
                 if (distance <= this.currentWeapon.range) {
@@ -205,17 +259,16 @@ export class Player {
                     if (dot > 0.7) { // Within about 45 degrees
                         // Visual feedback only - server determines actual damage
                         enemy.damage(10);
-                        
-                        // Notify server of hit
-                        if (this.game.socket && this.game.socket.readyState === WebSocket.OPEN) {
-                            this.game.sendAttack(playerId, false);
-                        }
-                        
                         hitAnyone = true;
                     }
                 }
             });
             
+            // Server rewinds other players to what we saw and resolves the swing
+            if (this.game.socket && this.game.socket.readyState === WebSocket.OPEN) {
+                this.game.sendAttack(false, direction);
+            }
+            
             // Legacy support for NPC enemies (for testing without multiplayer)
             if (this.game.enemies) {
                 for (let i = 0; i < this.game.enemies.length; i++) {
@@ -19,7 +19,7 @@ export function createProjectile(scene, game, position, direction, weapon, isEne
     // Create projectile physics object
     const projectile = {
         position: position.clone(),
-        velocity: direction.clone().normalize().multiplyScalar(0.4),
+        velocity: direction.clone().normalize().multiplyScalar(weapon.projectileSpeed / 60), // Per frame at 60fps
         size: 0.3,
         damage: weapon.damage,
         range: weapon.range,
@@ -62,7 +62,7 @@ export function updateProjectiles(game) {
         }
         
         // Check for collisions with obstacles
-        if (checkCollision(projectile.position, projectile.size, game.obstacles)) {
+        if (checkCollision(projectile.position, projectile.size, game.obstacles, game.arenaSize)) {
             game.scene.remove(projectile.mesh);
             game.projectiles.splice(i, 1);
             continue;
@@ -82,7 +82,7 @@ export function updateProjectiles(game) {
             // Enemy projectile hitting other players in multiplayer
             // This handles the case where a projectile from player A is seen by player B hitting player C
             if (game.otherPlayers) {
-                for (const [playerId, otherPlayer] of Object.entries(game.otherPlayers)) {
+                for (const [playerId, otherPlayer] of game.otherPlayers) {
                     // Skip the player who fired this projectile
                     if (otherPlayer.isProjectileSource) continue;
                     
@@ -110,11 +110,11 @@ export function updateProjectiles(game) {
             
             // Player projectile hitting other players in multiplayer
             if (game.otherPlayers && game.socket && game.socket.readyState === WebSocket.OPEN) {
-                for (const [playerId, otherPlayer] of Object.entries(game.otherPlayers)) {
+                for (const [playerId, otherPlayer] of game.otherPlayers) {
                     const distance = projectile.position.distanceTo(otherPlayer.position);
                     if (distance < (projectile.size + otherPlayer.size) / 2) {
-                        // Send hit event to server
-                        game.sendProjectileHit(playerId, projectile.damage);
+                        // Hint the server about the hit - it decides whether it counts
+                        game.sendProjectileHit(playerId);
                         
                         // Remove projectile
                         game.scene.remove(projectile.mesh);
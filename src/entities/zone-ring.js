@@ -0,0 +1,35 @@
+import THREE from '../three-module.js';
+
+const RING_SEGMENTS = 64;
+const RING_HEIGHT = 0.1; // Just above the ground and grass
+const RADIUS_TOLERANCE = 0.05; // Rebuild the ring once its radius is off by this much
+
+// Flat ring on the ground marking the edge of a safe zone circle. Placed with placeZoneRing
+export function createZoneRing(color, opacity) {
+    const mesh = new THREE.Mesh(
+        new THREE.BufferGeometry(),
+        new THREE.MeshBasicMaterial({
+            color: color,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: opacity
+        })
+    );
+    mesh.rotation.x = Math.PI / 2;
+    mesh.position.y = RING_HEIGHT;
+    mesh.userData.radius = null;
+    return mesh;
+}
+
+// Move a zone ring to a { x, z, radius } circle. width is the ring's thickness
+// inwards from the edge. The geometry is only rebuilt when the radius changes
+export function placeZoneRing(mesh, circle, width) {
+    mesh.position.x = circle.x;
+    mesh.position.z = circle.z;
+
+    if (mesh.userData.radius !== null && Math.abs(mesh.userData.radius - circle.radius) < RADIUS_TOLERANCE) return;
+
+    mesh.geometry.dispose();
+    mesh.geometry = new THREE.RingGeometry(Math.max(0, circle.radius - width), Math.max(circle.radius, 0.01), RING_SEGMENTS);
+    mesh.userData.radius = circle.radius;
+}
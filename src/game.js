@@ -1,11 +1,54 @@
-import { COLORS, WEAPONS, ENEMY_MESSAGES, VERSION } from './constants.js';
-import { updateUI, showMessage, showGameOver, updateVersion } from './ui.js';
+import { COLORS, WEAPONS, ENEMY_MESSAGES, VERSION, INTERPOLATION_DELAY, CAMERA_HEIGHT } from './constants.js';
+import {
+    updateUI,
+    showMessage,
+    showGameOver,
+    updateVersion,
+    showMatchStatus,
+    promptForName,
+    addKillFeedEntry,
+    renderScoreboard,
+    showScoreboard,
+    renderLeaderboard,
+    showLeaderboard,
+    showPickupPrompt,
+    renderInventory
+} from './ui.js';
 import { Player } from './entities/player.js';
 import { Enemy } from './entities/enemy.js';
-import { updateProjectiles } from './entities/projectile.js';
-import { createEnvironment, spawnEnemy } from './entities/environment.js';
+import { createProjectile, updateProjectiles } from './entities/projectile.js';
+import { createPickupMesh, animatePickups, removePickupMesh } from './entities/pickup.js';
+import { createZoneRing, placeZoneRing } from './entities/zone-ring.js';
+import { createEnvironment, spawnEnemy, createMapObjects } from './entities/environment.js';
 import { InputHandler } from './utils/input.js';
+import { ServerClock } from './utils/interpolation.js';
+import { Spectator } from './utils/spectator.js';
 import THREE from './three-module.js';
+import './shared/protocol.js';
+import './shared/names.js';
+import './shared/schema.js';
+import './shared/prng.js';
+import './shared/map-format.js';
+import './shared/map-generator.js';
+import './shared/loot.js';
+import './shared/inventory.js';
+import './shared/zone.js';
+
+const { PROTOCOL_VERSION, SESSION_RESUMED_ELSEWHERE, encodeMessage, decodeMessage } = globalThis.SharedProtocol;
+const { normalizeName, validateName } = globalThis.SharedNames;
+const { validateMessage } = globalThis.SharedSchema;
+const { generateMap } = globalThis.SharedMapGenerator;
+const { DEFAULT_ARENA_SIZE, validateMap, toLayout } = globalThis.SharedMapFormat;
+const { PICKUP_RANGE, getPickupName } = globalThis.SharedLoot;
+const { usesAmmo } = globalThis.SharedWeapons;
+const { SLOTS, MELEE_SLOT, isWeaponSlot } = globalThis.SharedInventory;
+const { CONSUMABLES, getUseError } = globalThis.SharedConsumables;
+const { getZoneState } = globalThis.SharedZone;
+
+const ZONE_RING_WIDTH = 0.5;
+
+// Snapshot states kept as possible delta baselines
+const SNAPSHOT_STATE_HISTORY = 64;
 
 export class Game {
     constructor() {
@@ -17,6 +60,7 @@ export class Game {
         this.enemies = [];
         this.projectiles = [];
         this.obstacles = [];
+        this.arenaSize = DEFAULT_ARENA_SIZE; // Set by the current map
         this.score = 0;
         this.gameOver = false;
         this.animationFrameId = null;
@@ -30,8 +74,42 @@ export class Game {
         this.socket = null;
         this.playerId = null;
         this.otherPlayers = new Map(); // Initialize the otherPlayers Map
-        this.battleRoyaleZoneSize = 100; // Initial zone size
-        this.safeZoneMesh = null; // Visual indicator for the battle royale safe zone
+        this.lastSnapshotTick = 0; // Latest server tick we've applied
+        this.serverClock = new ServerClock(); // Estimates server time for interpolation
+        this.netId = null; // Our compact ID in snapshots
+        this.roomId = null; // Match room the server put us in
+        this.resumeToken = sessionStorage.getItem('resumeToken'); // Reclaims our player after a dropped connection
+        this.playerName = localStorage.getItem('playerName') || ''; // Display name, remembered between visits
+        this.nameRejected = false; // Server refused our name - wait for a new one instead of reconnecting
+        this.removedByAdmin = false; // Kicked or banned - don't reconnect
+        this.invalidMessages = 0; // Server messages that failed schema validation
+        this.playerIdsByNetId = new Map();
+        this.snapshotStates = new Map(); // tick -> Map(netId -> player state), for delta decoding
+        this.mapId = null; // ID of the map currently built in the scene
+        this.matchState = null; // Latest matchState message from the server
+        this.matchStateEndsAt = null; // Local time when the match state's timer runs out
+        this.isSpectating = false; // Eliminated or joined mid-match, waiting for the next round
+        this.spectator = null; // Spectator camera, created with the scene
+        this.scoreboard = []; // Latest per-player stats from the server
+        this.scoreboardVisible = false; // Shown while Tab is held
+        this.leaderboardVisible = false; // All-time leaderboard, toggled with L
+        this.inventorySlots = SLOTS.map(() => null); // { kind, item, count } per slot, see the loadout message
+        this.selectedSlot = MELEE_SLOT; // Slot of the weapon in hand
+        this.pickups = new Map(); // Loot on the ground: pickup ID -> { pickup, mesh }
+        this.ammo = new Map(); // Weapon index -> { magazine, reserve } for ranged weapons
+        this.reloadEndsAt = null; // Local time our reload finishes, null when not reloading
+        this.armour = 0; // Our armour points, from the server
+        this.usingSlot = null; // Slot of the consumable we're using, null when not using one
+        this.itemUseEndsAt = null; // Local time that consumable takes effect
+        
+        // Binary protocol by default, add ?protocol=json to the URL to debug with readable frames
+        this.encoding = new URLSearchParams(window.location.search).get('protocol') === 'json' ? 'json' : 'binary';
+        this.zone = null; // Safe zone plan from the server, see src/shared/zone.js
+        this.zoneStartedAt = null; // Local time the zone plan started
+        this.zoneState = null; // Where the zone is now, worked out from the plan every frame
+        this.zoneShrinkAnnounced = null; // Phase we last announced a shrink for
+        this.safeZoneMesh = null; // Ring on the ground at the edge of the safe zone
+        this.nextZoneMesh = null; // Thinner ring showing where the zone shrinks to next
         
         // Class references
         this.Player = Player;
@@ -63,8 +141,8 @@ export class Game {
         // Update version display
         updateVersion(VERSION);
         
-        // Connect to WebSocket server
-        this.connectToServer();
+        // Pick a name, then connect to the WebSocket server
+        this.chooseName();
         
         // Add window unload handler for cleanup
         window.addEventListener('beforeunload', () => {
@@ -75,8 +153,29 @@ export class Game {
         this.animate();
     }
     
+    // Ask for a display name, then connect. A session we can still resume skips the prompt
+    chooseName(error = null) {
+        if (!error && this.playerName && this.resumeToken) {
+            this.connectToServer();
+            return;
+        }
+        
+        promptForName(this.playerName, error, (input) => {
+            const name = normalizeName(input);
+            const reason = validateName(name);
+            if (reason) return reason;
+            
+            this.playerName = name;
+            localStorage.setItem('playerName', name);
+            this.connectToServer();
+            return null;
+        });
+    }
+    
     // Connect to WebSocket server
     connectToServer() {
+        this.nameRejected = false;
+        
         // Determine WebSocket URL (adjust for production)
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const wsUrl = `${protocol}//${window.location.host}`;
@@ -85,6 +184,7 @@ export class Game {
         
         try {
             this.socket = new WebSocket(wsUrl);
+            this.socket.binaryType = 'arraybuffer';
             
             // Set up WebSocket event handlers
             this.socket.onopen = this.handleSocketOpen.bind(this);
@@ -112,13 +212,11 @@ export class Game {
         
         // Set up new ping interval
         this.pingInterval = setInterval(() => {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                // Send lightweight ping
-                this.socket.send(JSON.stringify({
-                    type: 'ping',
-                    timestamp: Date.now()
-                }));
-            }
+            // Send lightweight ping
+            this.send({
+                type: 'ping',
+                timestamp: Date.now()
+            });
         }, 15000); // Ping every 15 seconds
     }
     
@@ -136,45 +234,99 @@ export class Game {
         
         // Reset reconnection attempts
         this.reconnectAttempts = 0;
+        
+        // Negotiate the protocol - the hello is always JSON so any server can read it
+        this.socket.send(JSON.stringify({
+            type: 'hello',
+            protocolVersion: PROTOCOL_VERSION,
+            encoding: this.encoding,
+            mapId: this.mapId, // Lets the server skip sending a map we already have
+            resumeToken: this.resumeToken || undefined,
+            name: this.playerName
+        }));
+    }
+    
+    // Send a message to the server in the negotiated encoding
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(encodeMessage(message, this.encoding));
+        }
     }
     
     handleSocketMessage(event) {
         try {
-            const message = JSON.parse(event.data);
+            const message = decodeMessage(event.data);
+            
+            // Ignore anything that doesn't match the protocol schemas
+            const error = validateMessage(message, 'server');
+            if (error) {
+                this.invalidMessages++;
+                console.warn(`Ignoring invalid message from server: ${error}`);
+                return;
+            }
             
             switch (message.type) {
                 case 'playerConnected':
                     // Store player ID
                     this.playerId = message.id;
-                    console.log(`Assigned player ID: ${this.playerId}`);
+                    this.netId = message.netId;
+                    this.roomId = message.roomId;
+                    this.playerName = message.name;
+                    this.resumeToken = message.resumeToken;
+                    sessionStorage.setItem('resumeToken', message.resumeToken);
+                    this.lastSnapshotTick = 0;
+                    this.snapshotStates.clear();
+                    this.serverClock.reset();
+                    console.log(`Assigned player ID: ${this.playerId} in room ${this.roomId}`);
+                    
+                    if (message.resumed) {
+                        showMessage('Reconnected - your match continues!');
+                    }
+                    
+                    // Forget players from before a reconnect, the server sends everyone again
+                    this.otherPlayers.forEach((enemy, id) => this.removeOtherPlayer(id));
+                    this.playerIdsByNetId.clear();
                     
-                    // Set up other players
+                    // Set up other players and take our position and health from the server
                     message.players.forEach(playerData => {
                         if (playerData.id !== this.playerId) {
-                            this.addOtherPlayer(playerData);
+                            // Eliminated players and spectators have no body to show
+                            if (playerData.isAlive) {
+                                this.addOtherPlayer(playerData);
+                            }
+                        } else if (playerData.isAlive) {
+                            this.setPlayerPosition(playerData.position);
+                            this.player.health = playerData.health;
+                            this.updateUI();
+                        } else if (!this.player.isDead) {
+                            // We joined mid-match
+                            this.enterSpectatorMode('Match in progress - you will join the next round.');
                         }
                     });
                     
                     // Create environment from server map data
                     if (message.mapData) {
+                        this.clearEnvironment();
                         this.createEnvironmentFromMapData(message.mapData);
-                    } else {
-                        // If no map data was provided, request it
+                    } else if (message.mapId !== this.mapId) {
+                        // If no map data was provided and ours is stale, request it
+                        this.clearEnvironment();
                         this.requestMapData();
                     }
                     
-                    // Update battle royale zone
-                    this.updateBattleRoyaleZone(message.areaSize);
+                    this.setZone(message.zone);
                     break;
                     
                 case 'playerJoined':
-                    // Add new player
-                    if (message.player && message.player.id !== this.playerId) {
-                        showMessage('A new player has joined!');
+                    // Add new player (late joiners spectate until the next round)
+                    if (message.isAlive === false) {
+                        showMessage(`${message.name} is spectating until the next round.`);
+                    } else if (message.player && message.player.id !== this.playerId) {
+                        showMessage(`${message.player.name} has joined!`);
                         this.addOtherPlayer(message.player);
                     } else if (message.id && message.id !== this.playerId) {
                         // Alternative format where player data is at the top level
-                        showMessage('A new player has joined!');
+                        showMessage(`${message.name} has joined!`);
                         this.addOtherPlayer(message);
                     }
                     break;
@@ -182,11 +334,44 @@ export class Game {
                 case 'playerLeft':
                     // Remove player
                     this.removeOtherPlayer(message.id);
+                    this.playerIdsByNetId.forEach((id, netId) => {
+                        if (id === message.id) this.playerIdsByNetId.delete(netId);
+                    });
+                    break;
+                    
+                case 'matchState':
+                    // Match lifecycle changed (or the lobby player count did)
+                    this.matchState = message;
+                    this.matchStateEndsAt = message.timeRemaining !== null ? Date.now() + message.timeRemaining : null;
+                    this.updateMatchStatus();
+                    break;
+                    
+                case 'error':
+                    // Server refused something we sent
+                    console.warn(`Server error (${message.code}): ${message.message}`);
+                    if (message.code === 'invalidName' || message.code === 'nameTaken') {
+                        // The server closes the connection - ask for another name before rejoining
+                        this.nameRejected = true;
+                        this.chooseName(message.message);
+                    } else if (message.code === 'kicked' || message.code === 'banned') {
+                        this.removedByAdmin = true;
+                        this.resumeToken = null;
+                        sessionStorage.removeItem('resumeToken');
+                        showMessage(message.message);
+                    } else if (message.code !== 'invalidMessage') {
+                        // Invalid message errors are client bugs, the warning above is enough
+                        showMessage(message.message);
+                    }
                     break;
                     
-                case 'playerMoved':
-                    // Update other player position
-                    this.updateOtherPlayerPosition(message.id, message.position, message.rotation);
+                case 'serverMessage':
+                    // Announcement from a server admin
+                    showMessage(`Server: ${message.message}`);
+                    break;
+                    
+                case 'snapshot':
+                    // World state for one server tick
+                    this.applySnapshot(message);
                     break;
                     
                 case 'playerDamaged':
@@ -195,6 +380,7 @@ export class Game {
                         // This is us
                         this.player.damage(0); // Visual effect only, health managed by server
                         this.player.health = message.health;
+                        this.armour = message.armour;
                         this.updateUI();
                     } else {
                         // Another player
@@ -205,8 +391,19 @@ export class Game {
                     }
                     break;
                     
+                case 'playerHealed':
+                    // A player finished using a consumable. Other players' health arrives in snapshots
+                    if (message.id === this.playerId) {
+                        this.player.health = message.health;
+                        this.armour = message.armour;
+                        this.updateUI();
+                    }
+                    break;
+                    
                 case 'playerDied':
                     // A player died
+                    this.addKillFeedEntry(message);
+                    
                     if (message.id === this.playerId) {
                         // We died
                         this.handlePlayerDeath(message.killerId);
@@ -214,19 +411,32 @@ export class Game {
                         // Another player died
                         const otherPlayer = this.otherPlayers.get(message.id);
                         if (otherPlayer) {
-                            showMessage(`Player was eliminated!`);
                             this.removeOtherPlayer(message.id);
                             
-                            // If we killed them, update score
+                            // Our score arrives separately in scoreUpdated
                             if (message.killerId === this.playerId) {
-                                this.score++;
-                                this.updateUI();
-                                showMessage('You eliminated a player!');
+                                showMessage(`You eliminated ${message.name}!`);
                             }
                         }
                     }
                     break;
                     
+                case 'scoreUpdated':
+                    // A player's kill count changed
+                    if (message.id === this.playerId) {
+                        this.score = message.kills;
+                        this.updateUI();
+                    }
+                    break;
+                    
+                case 'scoreboard':
+                    // Stats, status and ping for everyone in the room
+                    this.scoreboard = message.players;
+                    if (this.scoreboardVisible) {
+                        renderScoreboard(this.scoreboard, this.playerId);
+                    }
+                    break;
+                    
                 case 'projectileFired':
                     // Another player fired a projectile
                     if (message.id !== this.playerId) {
@@ -264,6 +474,10 @@ export class Game {
                     // Battle royale game is starting
                     showMessage('Battle Royale match is starting!');
                     
+                    // Kills are counted per match
+                    this.score = 0;
+                    this.updateUI();
+                    
                     // Clear existing obstacles and environment objects
                     this.clearEnvironment();
                     
@@ -279,7 +493,7 @@ export class Game {
                     
                     // If player is dead, inform them they can respawn now
                     if (this.player && this.player.isDead) {
-                        showMessage('You can now respawn for the next round!');
+                        showMessage('You will respawn when the next round begins.');
                         
                         // Update restart button text
                         const restartButton = document.getElementById('restart');
@@ -289,10 +503,9 @@ export class Game {
                     }
                     break;
                     
-                case 'areaShrank':
-                    // Battle royale safe zone shrunk
-                    showMessage('The safe zone is shrinking!');
-                    this.updateBattleRoyaleZone(message.newSize);
+                case 'zone':
+                    // New safe zone plan, e.g. for a match that just started
+                    this.setZone(message);
                     break;
                     
                 case 'zoneDamage':
@@ -317,6 +530,8 @@ export class Game {
                     
                     // Reset game state
                     this.gameOver = false;
+                    this.isSpectating = false;
+                    this.spectator.stop();
                     
                     // Remove game over screen
                     this.showGameOver(false);
@@ -333,13 +548,7 @@ export class Game {
                         this.player.isDead = false;
                         
                         // Set position from server
-                        if (message.position) {
-                            this.player.position.set(
-                                message.position.x,
-                                message.position.y,
-                                message.position.z
-                            );
-                        }
+                        this.setPlayerPosition(message.position);
                         
                         // Update UI
                         this.updateUI();
@@ -361,12 +570,13 @@ export class Game {
                         if (existingPlayer) {
                             // Update existing player
                             showMessage('A player has respawned!');
-                            existingPlayer.position.set(message.position.x, message.position.y, message.position.z);
-                            existingPlayer.rotation = message.rotation;
+                            existingPlayer.snapTo(message.position, message.rotation);
                         } else {
                             // Add new player
                             this.addOtherPlayer({
                                 id: message.id,
+                                netId: message.netId,
+                                name: message.name,
                                 position: message.position,
                                 rotation: message.rotation,
                                 health: message.health,
@@ -376,6 +586,51 @@ export class Game {
                     }
                     break;
                     
+                case 'loadout':
+                    // Our inventory, ammo and armour - sent on joining, dying and respawning,
+                    // and whenever a pickup, drop, shot, reload or item use changes them
+                    this.inventorySlots = SLOTS.map(() => null);
+                    message.slots.forEach(entry => {
+                        this.inventorySlots[entry.slot] = { kind: entry.kind, item: entry.item, count: entry.count };
+                    });
+                    this.selectedSlot = message.selected;
+                    this.ammo.clear();
+                    message.ammo.forEach(entry => {
+                        this.ammo.set(entry.weapon, { magazine: entry.magazine, reserve: entry.reserve });
+                    });
+                    this.reloadEndsAt = message.reloadTimeRemaining !== null ? Date.now() + message.reloadTimeRemaining : null;
+                    this.armour = message.armour;
+                    this.usingSlot = message.usingSlot;
+                    this.itemUseEndsAt = message.useTimeRemaining !== null ? Date.now() + message.useTimeRemaining : null;
+                    const heldWeapon = this.weapons[this.inventorySlots[message.selected].item];
+                    if (this.player && heldWeapon !== this.player.currentWeapon) {
+                        this.player.currentWeapon = heldWeapon;
+                        this.player.updateWeaponModel();
+                    }
+                    this.updateUI();
+                    break;
+                    
+                case 'pickups':
+                    // All loot on the ground, e.g. freshly spawned for a match
+                    this.setPickups(message.pickups);
+                    break;
+                    
+                case 'pickupTaken':
+                    // Someone took a pickup
+                    if (message.id === this.playerId) {
+                        const taken = this.pickups.get(message.pickupId);
+                        if (taken) {
+                            showMessage(`Picked up ${getPickupName(taken.pickup)}`);
+                        }
+                    }
+                    this.removePickup(message.pickupId);
+                    break;
+                    
+                case 'pickupDropped':
+                    // Items someone dropped or left behind when they died
+                    message.pickups.forEach(pickup => this.addPickup(pickup));
+                    break;
+                    
                 case 'mapData':
                     // Server sent map data in response to our request
                     if (message.mapData) {
@@ -408,6 +663,33 @@ export class Game {
             this.pingInterval = null;
         }
         
+        // Don't rejoin until the player has picked a name the server accepts
+        if (this.nameRejected) {
+            if (statusElement) {
+                statusElement.textContent = 'Choose a name';
+            }
+            return;
+        }
+        
+        if (this.removedByAdmin) {
+            if (statusElement) {
+                statusElement.textContent = 'Removed from server';
+            }
+            return;
+        }
+        
+        // Our player was resumed from another tab or window. Reconnecting with
+        // the same token would take it back and start a tug of war
+        if (event.code === SESSION_RESUMED_ELSEWHERE) {
+            this.resumeToken = null;
+            sessionStorage.removeItem('resumeToken');
+            showMessage('You joined from another tab or window. This one is disconnected.');
+            if (statusElement) {
+                statusElement.textContent = 'Playing in another tab';
+            }
+            return;
+        }
+        
         // Try to reconnect with increasing delays
         this.reconnectAttempts = (this.reconnectAttempts || 0) + 1;
         const delay = Math.min(30000, Math.pow(1.5, this.reconnectAttempts) * 1000);
@@ -448,30 +730,123 @@ export class Game {
         // Set player health to 0
         this.player.health = 0;
         
-        // Show game over screen
-        this.gameOver = true;
+        // Flash the game over banner, then watch the rest of the match
         this.showGameOver(true);
+        setTimeout(() => {
+            if (this.isSpectating) this.showGameOver(false);
+        }, 2000);
         
-        // Despawn the player model (but keep the camera)
-        if (this.player && this.player.model) {
-            // Hide the player model
-            this.scene.remove(this.player.model);
-            
-            // If the player has a weapon model, remove that too
-            if (this.player.model.weapon) {
-                this.scene.remove(this.player.model.weapon);
-            }
+        // If the player has a weapon model, remove that too
+        if (this.player.model && this.player.model.weapon) {
+            this.scene.remove(this.player.model.weapon);
         }
         
         // Update UI to show 0 health
         this.updateUI();
         
-        // Prevent player from moving or attacking
-        this.player.isDead = true;
+        // Despawn the player model and follow the survivors until the round ends
+        this.enterSpectatorMode('Spectating - Q/E to switch player, F for free camera');
         
         console.log("Player has died and been despawned. Waiting for round to end.");
     }
     
+    // Describe a death in the kill feed: killer, victim and weapon, or the zone
+    addKillFeedEntry(message) {
+        const victim = message.id === this.playerId ? 'You' : message.name;
+        
+        if (message.killerId === 'zone') {
+            addKillFeedEntry(`${victim} fell to the zone`);
+            return;
+        }
+        
+        const killer = message.killerId === this.playerId ? 'You' : (message.killerName || 'Someone');
+        const weapon = this.weapons[message.weapon];
+        addKillFeedEntry(weapon ? `${killer} eliminated ${victim} with ${weapon.name}` : `${killer} eliminated ${victim}`);
+    }
+    
+    // Show or hide the scoreboard (held open with Tab)
+    setScoreboardVisible(visible) {
+        this.scoreboardVisible = visible;
+        if (visible) {
+            renderScoreboard(this.scoreboard, this.playerId);
+        }
+        showScoreboard(visible);
+    }
+    
+    // Show or hide the all-time leaderboard, fetching the latest standings when opened
+    toggleLeaderboard() {
+        this.leaderboardVisible = !this.leaderboardVisible;
+        showLeaderboard(this.leaderboardVisible);
+        if (!this.leaderboardVisible) return;
+        
+        fetch('/api/leaderboard?limit=10')
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => renderLeaderboard(data.players))
+            .catch(error => {
+                console.error('Failed to load leaderboard:', error);
+                showMessage('Could not load the leaderboard.');
+            });
+    }
+    
+    // Watch the current match without a body until the server respawns us
+    enterSpectatorMode(message) {
+        this.isSpectating = true;
+        this.player.isDead = true;
+        
+        if (this.player.model) {
+            this.scene.remove(this.player.model);
+        }
+        
+        this.spectator.start();
+        showMessage(message);
+    }
+    
+    // Zone timer for the HUD while playing, empty once the zone has finished shrinking
+    getZoneStatusText() {
+        const state = this.zoneState;
+        if (!state || state.timeRemaining === null) return '';
+        
+        const seconds = Math.ceil(state.timeRemaining / 1000);
+        return state.shrinking ? `Zone shrinking - ${seconds}s` : `Zone shrinks in ${seconds}s`;
+    }
+    
+    // Show the match state and its timer in the HUD
+    updateMatchStatus() {
+        const match = this.matchState;
+        if (!match) return;
+        
+        const seconds = this.matchStateEndsAt ? Math.ceil(Math.max(0, this.matchStateEndsAt - Date.now()) / 1000) : 0;
+        
+        switch (match.state) {
+            case 'waiting':
+                showMatchStatus(`Waiting for players (${match.playerCount}/${match.minPlayers})`);
+                break;
+            case 'countdown':
+                showMatchStatus(`Match starts in ${seconds}s`);
+                break;
+            case 'inProgress':
+                showMatchStatus(this.isSpectating ? 'Spectating - you will join the next round' : this.getZoneStatusText());
+                break;
+            case 'postGame':
+                showMatchStatus(`Next match in ${seconds}s`);
+                break;
+        }
+    }
+    
+    // Snap the local player to a server-provided position
+    setPlayerPosition(position) {
+        if (!this.player || !position) return;
+        
+        this.player.resetPrediction();
+        this.player.position.set(position.x, position.y, position.z);
+        if (this.player.model) {
+            this.player.model.position.copy(this.player.position);
+        }
+    }
+    
     // Add another player to the scene
     addOtherPlayer(playerData) {
         // Create enemy instance to represent the other player
@@ -485,11 +860,13 @@ export class Game {
             this.scene,
             this,
             position,
-            playerData.weapon
+            playerData.weapon,
+            playerData.name
         );
         
         // Store in otherPlayers map
         this.otherPlayers.set(playerData.id, enemy);
+        this.playerIdsByNetId.set(playerData.netId, playerData.id);
         console.log(`Added other player: ${playerData.id} at position:`, position);
     }
     
@@ -507,14 +884,78 @@ export class Game {
         }
     }
     
-    // Update other player's position and rotation
-    updateOtherPlayerPosition(playerId, position, rotation) {
+    // Apply a server world snapshot
+    applySnapshot(snapshot) {
+        // Ignore snapshots that arrive out of order
+        if (snapshot.tick <= this.lastSnapshotTick) return;
+        
+        // Rebuild the full state from the delta and the baseline it was made against
+        const state = this.decodeSnapshotState(snapshot);
+        if (!state) return;
+        
+        this.lastSnapshotTick = snapshot.tick;
+        
+        // Confirm receipt so the server can send future deltas against this state
+        this.send({ type: 'snapshotAck', tick: snapshot.tick });
+        
+        this.serverClock.update(snapshot.time);
+        
+        state.forEach((playerData, netId) => {
+            // Our own entry is the authoritative result of our inputs
+            if (netId === this.netId) {
+                if (playerData.isAlive && !this.player.isDead) {
+                    this.player.reconcile(playerData.position, snapshot.lastInput);
+                }
+                return;
+            }
+            
+            const playerId = this.playerIdsByNetId.get(netId);
+            if (!playerId || !playerData.isAlive) return;
+            
+            this.updateOtherPlayerPosition(playerId, playerData.position, playerData.rotation, snapshot.time);
+            
+            const otherPlayer = this.otherPlayers.get(playerId);
+            if (otherPlayer) {
+                otherPlayer.setStatus(playerData.health, playerData.weapon);
+            }
+        });
+    }
+    
+    // Apply a delta snapshot to its baseline and return the full player state by netId
+    decodeSnapshotState(snapshot) {
+        let baseline = new Map();
+        if (snapshot.baseTick) {
+            baseline = this.snapshotStates.get(snapshot.baseTick);
+            
+            // We no longer have the baseline - wait for a full snapshot
+            if (!baseline) return null;
+        }
+        
+        const state = new Map();
+        baseline.forEach((playerData, netId) => {
+            state.set(netId, Object.assign({}, playerData));
+        });
+        
+        snapshot.players.forEach(entry => {
+            const playerData = state.get(entry.netId) || {};
+            Object.assign(playerData, entry);
+            state.set(entry.netId, playerData);
+        });
+        
+        snapshot.removed.forEach(netId => state.delete(netId));
+        
+        // Keep recent states as baselines for future deltas
+        this.snapshotStates.set(snapshot.tick, state);
+        this.snapshotStates.delete(snapshot.tick - SNAPSHOT_STATE_HISTORY);
+        
+        return state;
+    }
+    
+    // Buffer another player's position and rotation for interpolation
+    updateOtherPlayerPosition(playerId, position, rotation, time) {
         const otherPlayer = this.otherPlayers.get(playerId);
         if (otherPlayer) {
-            // Update position
-            otherPlayer.position.set(position.x, position.y, position.z);
-            // Update rotation
-            otherPlayer.rotation = rotation;
+            otherPlayer.pushState(time, position, rotation);
         }
     }
     
@@ -539,15 +980,15 @@ export class Game {
             // Mark the source player for this projectile
             if (this.otherPlayers) {
                 // Find the player who fired this projectile based on location
-                for (const [playerId, otherPlayer] of Object.entries(this.otherPlayers)) {
+                for (const [playerId, otherPlayer] of this.otherPlayers) {
                     const distance = origin.distanceTo(otherPlayer.position);
                     if (distance < 2) {  // Within reasonable distance
                         otherPlayer.isProjectileSource = true;
                         
                         // Clear the flag after a short delay
                         setTimeout(() => {
-                            if (this.otherPlayers && this.otherPlayers[playerId]) {
-                                this.otherPlayers[playerId].isProjectileSource = false;
+                            if (this.otherPlayers && this.otherPlayers.has(playerId)) {
+                                this.otherPlayers.get(playerId).isProjectileSource = false;
                             }
                         }, 100);
                         break;
@@ -566,27 +1007,39 @@ export class Game {
         }
     }
     
-    // Update the battle royale zone visual indicator
-    updateBattleRoyaleZone(size) {
-        this.battleRoyaleZoneSize = size;
+    // Take a new safe zone plan. The server sends it once per match; from
+    // then on the zone moves along it in updateZone
+    setZone(zone) {
+        this.zone = zone;
+        this.zoneStartedAt = Date.now() - zone.elapsed;
+        this.zoneShrinkAnnounced = null;
+        this.updateZone();
+    }
+    
+    // Move the zone rings to where the plan puts them now
+    updateZone() {
+        if (!this.zone || !this.scene) return;
         
-        // Remove existing zone mesh if it exists
-        if (this.safeZoneMesh) {
-            this.scene.remove(this.safeZoneMesh);
+        const state = getZoneState(this.zone, Date.now() - this.zoneStartedAt);
+        this.zoneState = state;
+        
+        if (!this.safeZoneMesh) {
+            this.safeZoneMesh = createZoneRing(0x00ffff, 0.3);
+            this.nextZoneMesh = createZoneRing(0xffffff, 0.5);
+            this.scene.add(this.safeZoneMesh, this.nextZoneMesh);
         }
+        placeZoneRing(this.safeZoneMesh, state.circle, ZONE_RING_WIDTH);
         
-        // Create new zone indicator
-        const zoneGeometry = new THREE.RingGeometry(size/2 - 0.5, size/2, 32);
-        const zoneMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x00ffff,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.3
-        });
-        this.safeZoneMesh = new THREE.Mesh(zoneGeometry, zoneMaterial);
-        this.safeZoneMesh.rotation.x = Math.PI / 2;
-        this.safeZoneMesh.position.y = 0.1;
-        this.scene.add(this.safeZoneMesh);
+        // Preview the circle this phase ends at, unless it's already reached
+        this.nextZoneMesh.visible = state.next !== null && state.next.radius < state.circle.radius;
+        if (this.nextZoneMesh.visible) {
+            placeZoneRing(this.nextZoneMesh, state.next, ZONE_RING_WIDTH / 2);
+        }
+        
+        if (state.shrinking && this.zoneShrinkAnnounced !== state.phase) {
+            this.zoneShrinkAnnounced = state.phase;
+            showMessage('The safe zone is shrinking!');
+        }
     }
     
     // Setup the scene
@@ -597,8 +1050,9 @@ export class Game {
         
         // Set up the camera
         this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.camera.position.set(0, 20, 0);
+        this.camera.position.set(0, CAMERA_HEIGHT, 0);
         this.camera.lookAt(0, 0, 0);
+        this.spectator = new Spectator(this);
         
         // Set up the renderer
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -639,7 +1093,11 @@ export class Game {
     }
     
     updateUI() {
-        updateUI(this.score, this.player.health, this.player.currentWeapon);
+        updateUI(this.score, this.player.health, this.armour, this.player.currentWeapon, this.getAmmoText(), this.getItemUseText());
+        renderInventory(this.inventorySlots.map(entry => entry && {
+            name: getPickupName(entry),
+            count: entry.count
+        }), this.selectedSlot);
     }
     
     showGameOver(visible) {
@@ -657,9 +1115,9 @@ export class Game {
         
         // Send respawn request to server
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
+            this.send({
                 type: 'respawn'
-            }));
+            });
             
             showMessage("Requesting respawn...");
         } else {
@@ -670,6 +1128,10 @@ export class Game {
     animate() {
         this.animationFrameId = requestAnimationFrame(this.animate.bind(this));
         
+        // Keep the zone moving and the match timer ticking, even on the game over screen
+        this.updateZone();
+        this.updateMatchStatus();
+        
         // Don't update game state when game is over
         if (this.gameOver) {
             // Still render the scene, but don't update player
@@ -677,95 +1139,307 @@ export class Game {
             return;
         }
         
-        // Update player
+        // Time since the last frame, capped so a background tab doesn't produce one huge step
+        const now = performance.now();
+        const dt = Math.min(now - (this.lastFrameTime || now), 100);
+        this.lastFrameTime = now;
+        
+        // Predict our own movement and send the input to the server
         if (this.player) {
-            this.player.update();
+            const input = this.player.update(dt);
+            if (input) {
+                this.sendInput(input);
+            }
         }
         
-        // Update other players
+        // Render other players slightly in the past so we always have states to blend between
+        const renderTime = this.getViewTime();
         this.otherPlayers.forEach(enemy => {
-            if (enemy.update) {
-                enemy.update();
-            }
+            enemy.update(renderTime);
         });
         
+        // Move the spectator camera after the player it follows
+        this.spectator.update(dt);
+        
         // Update projectiles
         updateProjectiles(this);
         
-        // Send position update to server if player is alive
-        if (this.player && !this.player.isDead) {
-            this.sendPositionUpdate();
+        // Count down the reload or item use on the HUD
+        if (this.reloadEndsAt !== null || this.itemUseEndsAt !== null) {
+            this.updateUI();
         }
         
+        // Spin the loot and offer to pick up whatever we're standing next to
+        animatePickups(this.pickups, now / 1000);
+        this.updatePickupPrompt();
+        
         // Render scene
         this.renderer.render(this.scene, this.camera);
     }
     
-    // Send position update to server
-    sendPositionUpdate() {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.player || !this.playerId) {
+    // Send a movement input to the server
+    sendInput(input) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.playerId) {
             return;
         }
         
-        // Only send update if we're alive
-        if (this.player.health <= 0) {
-            return;
-        }
-        
-        // Get current player position directly from property
-        const position = this.player.position;
-        const rotation = this.player.model ? this.player.model.rotation.y : 0;
-        
-        // Send position update to server
-        this.socket.send(JSON.stringify({
-            type: 'playerUpdate',
-            position: {
-                x: position.x,
-                y: position.y,
-                z: position.z
-            },
-            rotation: rotation
-        }));
+        this.send({
+            type: 'playerInput',
+            seq: input.seq,
+            up: input.up,
+            down: input.down,
+            left: input.left,
+            right: input.right,
+            dt: input.dt,
+            rotation: input.rotation
+        });
     }
     
     // Send attack to server
-    sendAttack(targetId, isProjectile, origin, direction) {
+    sendAttack(isProjectile, direction, origin) {
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
             const message = {
-                type: 'attack'
+                type: 'attack',
+                projectile: isProjectile,
+                direction: {
+                    x: direction.x,
+                    y: direction.y,
+                    z: direction.z
+                },
+                // Server time we're rendering other players at, used for lag compensation
+                viewTime: this.getViewTime()
             };
             
             if (isProjectile) {
-                message.projectile = true;
                 message.origin = {
                     x: origin.x,
                     y: origin.y,
                     z: origin.z
                 };
-                message.direction = {
-                    x: direction.x,
-                    y: direction.y,
-                    z: direction.z
-                };
-            } else {
-                message.projectile = false;
-                message.targetId = targetId;
             }
             
-            this.socket.send(JSON.stringify(message));
+            this.send(message);
         }
     }
     
-    // Send projectile hit to server
-    sendProjectileHit(targetId, damage) {
+    // Server time at which other players are currently being drawn
+    getViewTime() {
+        return this.serverClock.now() - INTERPOLATION_DELAY;
+    }
+    
+    // Send projectile hit hint to server (damage is decided by the server)
+    sendProjectileHit(targetId) {
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
             const message = {
                 type: 'projectileHit',
-                targetId: targetId,
-                damage: damage
+                targetId: targetId
             };
             
-            this.socket.send(JSON.stringify(message));
+            this.send(message);
+        }
+    }
+    
+    // Hold the weapon in one of our inventory slots
+    selectSlot(slot) {
+        if (!this.player || this.player.isDead || !isWeaponSlot(slot)) return;
+        
+        const entry = this.inventorySlots[slot];
+        if (!entry) {
+            showMessage('Nothing in that slot');
+            return;
+        }
+        this.selectedSlot = slot;
+        const weapon = this.weapons[entry.item];
+        if (weapon !== this.player.currentWeapon) {
+            this.reloadEndsAt = null; // The server cancels the reload too
+            this.player.setWeapon(weapon);
+        }
+        this.updateUI();
+    }
+    
+    // Number keys: hold the weapon in a melee or weapon slot, or use the consumable in a consumable slot
+    activateSlot(slot) {
+        if (isWeaponSlot(slot)) {
+            this.selectSlot(slot);
+        } else {
+            this.useItem(slot);
+        }
+    }
+    
+    // Ask the server to start using a consumable. It answers with our loadout,
+    // which carries the use timer, and playerHealed once it takes effect
+    useItem(slot) {
+        if (!this.player || this.player.isDead || this.usingSlot !== null) return;
+        
+        const entry = this.inventorySlots[slot];
+        if (!entry) {
+            showMessage('Nothing in that slot');
+            return;
+        }
+        const error = getUseError(CONSUMABLES[entry.item], this.player.health, this.armour);
+        if (error) {
+            showMessage(error);
+            return;
+        }
+        this.send({ type: 'useItem', slot: slot });
+    }
+    
+    // Mouse wheel: hold the weapon in the next (1) or previous (-1) filled weapon slot
+    cycleWeapon(direction) {
+        const slots = SLOTS.map((type, slot) => slot)
+            .filter(slot => isWeaponSlot(slot) && this.inventorySlots[slot]);
+        const index = slots.indexOf(this.selectedSlot);
+        if (slots.length < 2) return;
+        
+        this.selectSlot(slots[(index + direction + slots.length) % slots.length]);
+    }
+    
+    // Drop what's in the held slot on the ground. The server answers with
+    // pickupDropped and our loadout
+    dropHeldItem() {
+        if (!this.player || this.player.isDead) return;
+        
+        if (this.selectedSlot === MELEE_SLOT) {
+            showMessage(`You can't drop your ${this.player.currentWeapon.name}`);
+            return;
+        }
+        this.send({ type: 'dropItem', slot: this.selectedSlot });
+    }
+    
+    // Whether the held weapon can fire now. Melee weapons always can; a ranged
+    // weapon with an empty magazine starts reloading instead
+    hasRoundLoaded() {
+        const weapon = this.player.currentWeapon;
+        if (!usesAmmo(weapon)) return true;
+        if (this.reloadEndsAt !== null) return false;
+        
+        const ammo = this.ammo.get(this.weapons.indexOf(weapon));
+        if (!ammo || ammo.magazine === 0) {
+            this.startReload();
+            return false;
+        }
+        return true;
+    }
+    
+    // Take the round we just fired out of the magazine until the server's loadout confirms it
+    spendRound() {
+        const ammo = this.ammo.get(this.weapons.indexOf(this.player.currentWeapon));
+        if (ammo && ammo.magazine > 0) {
+            ammo.magazine--;
+            this.updateUI();
+        }
+    }
+    
+    // Ask the server to reload the held weapon. It answers with our loadout,
+    // which carries the reload timer
+    startReload() {
+        const weapon = this.player.currentWeapon;
+        const ammo = this.ammo.get(this.weapons.indexOf(weapon));
+        if (!usesAmmo(weapon) || !ammo || this.player.isDead) return;
+        
+        if (ammo.reserve === 0) {
+            if (ammo.magazine === 0) showMessage(`Out of ${weapon.name} ammo`);
+            return;
+        }
+        if (ammo.magazine < weapon.magazineSize) {
+            this.send({ type: 'reload' });
+        }
+    }
+    
+    // R reloads, or cancels a reload that's under way
+    toggleReload() {
+        if (this.reloadEndsAt !== null) {
+            this.reloadEndsAt = null;
+            this.send({ type: 'cancelReload' });
+            this.updateUI();
+        } else {
+            this.startReload();
+        }
+    }
+    
+    // Ammo line for the HUD: magazine / reserve, or the reload countdown. Empty for melee weapons
+    getAmmoText() {
+        const weapon = this.player.currentWeapon;
+        if (!usesAmmo(weapon)) return '';
+        
+        if (this.reloadEndsAt !== null) {
+            return `Reloading... ${(Math.max(0, this.reloadEndsAt - Date.now()) / 1000).toFixed(1)}s`;
+        }
+        const ammo = this.ammo.get(this.weapons.indexOf(weapon)) || { magazine: 0, reserve: 0 };
+        return `Ammo: ${ammo.magazine} / ${ammo.reserve}`;
+    }
+    
+    // Item use line for the HUD, empty unless we're using a consumable
+    getItemUseText() {
+        if (this.itemUseEndsAt === null) return '';
+        
+        const entry = this.inventorySlots[this.usingSlot];
+        const name = entry ? getPickupName(entry) : 'item';
+        return `Using ${name}... ${(Math.max(0, this.itemUseEndsAt - Date.now()) / 1000).toFixed(1)}s - move to cancel`;
+    }
+    
+    // Replace every pickup mesh with the server's list
+    setPickups(pickups) {
+        this.pickups.forEach(({ mesh }) => removePickupMesh(this.scene, mesh));
+        this.pickups.clear();
+        
+        pickups.forEach(pickup => this.addPickup(pickup));
+    }
+    
+    addPickup(pickup) {
+        this.pickups.set(pickup.id, {
+            pickup: pickup,
+            mesh: createPickupMesh(this.scene, pickup, this.weapons)
+        });
+    }
+    
+    removePickup(pickupId) {
+        const entry = this.pickups.get(pickupId);
+        if (!entry) return;
+        
+        removePickupMesh(this.scene, entry.mesh);
+        this.pickups.delete(pickupId);
+    }
+    
+    // Closest pickup within reach of our player, or null
+    findNearestPickup() {
+        if (!this.player || this.player.isDead) return null;
+        
+        let nearest = null;
+        let nearestDistance = PICKUP_RANGE;
+        this.pickups.forEach(({ pickup }) => {
+            const dx = pickup.position.x - this.player.position.x;
+            const dz = pickup.position.z - this.player.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance <= nearestDistance) {
+                nearest = pickup;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    updatePickupPrompt() {
+        const pickup = this.findNearestPickup();
+        showPickupPrompt(pickup ? `Press E to pick up ${getPickupName(pickup)}` : '');
+    }
+    
+    // Ask the server for the pickup we're standing next to. It checks range and
+    // that nobody took it first, and answers with pickupTaken and our loadout
+    pickUpNearest() {
+        const pickup = this.findNearestPickup();
+        if (pickup) {
+            this.send({ type: 'pickUp', pickupId: pickup.id });
+        }
+    }
+    
+    // Tell the server which weapon we're holding
+    sendWeaponSwitch(weaponIndex) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.send({
+                type: 'switchWeapon',
+                weapon: weaponIndex
+            });
         }
     }
     
@@ -789,77 +1463,24 @@ export class Game {
         }
     }
     
-    // Create environment from server-provided map data
+    // Create environment from server-provided map data: a seed for a
+    // generated map, which we generate exactly as the server did, or a whole map file
     createEnvironmentFromMapData(mapData) {
         if (!mapData) return;
         
-        console.log('Creating environment from server map data');
-        
-        // Create ground
-        const groundGeometry = new THREE.PlaneGeometry(100, 100);
-        const groundMaterial = new THREE.MeshLambertMaterial({ color: this.colors.GROUND });
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
-        
-        // Add buildings from map data
-        if (mapData.buildings && Array.isArray(mapData.buildings)) {
-            mapData.buildings.forEach(buildingData => {
-                // Create building mesh
-                const geometry = new THREE.BoxGeometry(
-                    buildingData.size.x, 
-                    buildingData.size.y, 
-                    buildingData.size.z
-                );
-                const material = new THREE.MeshLambertMaterial({
-                    color: new THREE.Color().setHSL(buildingData.color, 0.2, 0.5 + Math.random() * 0.2)
-                });
-                const building = new THREE.Mesh(geometry, material);
-                building.position.set(
-                    buildingData.position.x,
-                    buildingData.position.y,
-                    buildingData.position.z
-                );
-                building.castShadow = true;
-                building.receiveShadow = true;
-                this.scene.add(building);
-                
-                // Add to obstacles list for collision detection
-                this.obstacles.push({
-                    position: new THREE.Vector3(
-                        buildingData.position.x, 
-                        0, 
-                        buildingData.position.z
-                    ),
-                    size: new THREE.Vector3(
-                        buildingData.size.x,
-                        buildingData.size.y,
-                        buildingData.size.z
-                    ),
-                    mesh: building
-                });
-            });
+        const map = mapData.map || generateMap(mapData.seed);
+        const error = validateMap(map);
+        if (error) {
+            console.error(`Server sent an invalid map: ${error}`);
+            return;
         }
         
-        // Add grass patches from map data
-        if (mapData.grassPatches && Array.isArray(mapData.grassPatches)) {
-            mapData.grassPatches.forEach(grassData => {
-                const grassGeometry = new THREE.PlaneGeometry(grassData.size, grassData.size);
-                const grassMaterial = new THREE.MeshLambertMaterial({ color: this.colors.GRASS });
-                const grass = new THREE.Mesh(grassGeometry, grassMaterial);
-                grass.rotation.x = -Math.PI / 2;
-                grass.position.set(
-                    grassData.position.x,
-                    grassData.position.y,
-                    grassData.position.z
-                );
-                grass.receiveShadow = true;
-                this.scene.add(grass);
-            });
-        }
+        const layout = toLayout(map);
+        this.mapId = mapData.id;
+        this.arenaSize = layout.arenaSize;
+        this.obstacles = createMapObjects(this.scene, layout, this.colors);
         
-        console.log(`Created environment with ${mapData.buildings.length} buildings and ${mapData.grassPatches.length} grass patches`);
+        console.log(`Created map ${layout.name} with ${layout.buildings.length} buildings, ${layout.cover.length} cover objects and ${layout.grassPatches.length} grass patches`);
     }
     
     // Clear existing environment objects
@@ -873,6 +1494,7 @@ export class Game {
         
         // Clear obstacles array
         this.obstacles = [];
+        this.mapId = null;
         
         // Find and remove ground and grass objects
         // We'll need to iterate through scene children and remove them
@@ -901,9 +1523,9 @@ export class Game {
     // Request map data from the server
     requestMapData() {
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
+            this.send({
                 type: 'requestMapData'
-            }));
+            });
             console.log('Requested map data from server');
         }
     }
@@ -2,12 +2,36 @@
 const WebSocket = require('ws');
 const http = require('http');
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
-const { v4: uuid } = require('uuid');
+const { PROTOCOL_VERSION, ENCODINGS, decodeMessage } = require('./shared/protocol.js');
+const { WEAPONS, validateWeapons } = require('./shared/weapons.js');
+const { CONSUMABLES, validateConsumables } = require('./shared/consumables.js');
+const { normalizeName, validateName } = require('./shared/names.js');
+const { validateMessage, validateExamples } = require('./shared/schema.js');
+const { Room, MATCH_STATES } = require('./server/room.js');
+const { sendTo, takeBytesSent } = require('./server/transport.js');
+const { createStatsStore, LEADERBOARD_SORTS } = require('./server/stats-store.js');
+const { createAdminRouter } = require('./server/admin.js');
+const { BanList } = require('./server/ban-list.js');
+const { RateLimiter, RATE_LIMIT_ACTIONS, getRateLimits } = require('./server/rate-limiter.js');
+const { loadMapRotation } = require('./server/map-rotation.js');
+
+// Refuse to start with a broken weapon or consumable registry or message schemas
+validateWeapons(WEAPONS);
+validateConsumables(CONSUMABLES);
+validateExamples();
+
+// Hand-authored maps and the order rooms play them in. Refuses to start if a map file is broken
+const mapRotation = loadMapRotation();
+console.log(`Map rotation: ${mapRotation.order.join(', ')}`);
+
+// Client messages are small - the largest is the hello
+const MAX_PAYLOAD_BYTES = 4096;
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: MAX_PAYLOAD_BYTES });
 
 // Add CORS headers for cross-origin requests
 app.use((req, res, next) => {
@@ -16,243 +40,199 @@ app.use((req, res, next) => {
     next();
 });
 
-// Serve static files
-app.use(express.static(path.join(__dirname, '..')));
+// Serve the client only: its pages, styles, browser modules and map files.
+// The rest of the repository, e.g. player stats in data/ and the server code
+// in src/server/, is not served
+const ROOT_DIR = path.join(__dirname, '..');
+const CLIENT_PAGES = ['index.html', 'admin.html', 'editor.html'];
+const CLIENT_DIRS = ['src/shared', 'src/entities', 'src/utils', 'styles', 'maps'];
+// Top-level browser modules: every script in src/ but this one
+const CLIENT_MODULES = fs.readdirSync(__dirname).filter(file => file.endsWith('.js') && file !== path.basename(__filename));
+app.get('/', (req, res) => res.sendFile(path.join(ROOT_DIR, 'index.html')));
+CLIENT_PAGES.forEach(page => {
+    app.get(`/${page}`, (req, res) => res.sendFile(path.join(ROOT_DIR, page)));
+});
+CLIENT_MODULES.forEach(file => {
+    app.get(`/src/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+CLIENT_DIRS.forEach(dir => {
+    app.use(`/${dir}`, express.static(path.join(ROOT_DIR, dir)));
+});
 
 // Add ping route to prevent Render from sleeping
 app.get('/ping', (req, res) => {
     res.status(200).send('pong');
 });
 
-// Store connected players
-const players = new Map();
-let gameInProgress = false;
-let gameStartTime = null;
-const BATTLE_ROYALE_COUNTDOWN = 60; // Seconds before the game shrinks the play area
-const MAX_PLAYERS = 10;
-const STARTING_AREA_SIZE = 100;
-let currentAreaSize = STARTING_AREA_SIZE;
-
-// Server-side map data
-const mapData = {
-    buildings: [],
-    grassPatches: [],
-    obstacles: []
-};
-
-// Fix for THREE.Vector3 in Node.js environment
-class Vector3 {
-    constructor(x = 0, y = 0, z = 0) {
-        this.x = x;
-        this.y = y;
-        this.z = z;
-    }
+// Player stats that survive restarts
+const statsStore = createStatsStore();
+
+// Top players, e.g. /api/leaderboard?sort=kills&limit=20
+app.get('/api/leaderboard', async (req, res) => {
+    const sortBy = LEADERBOARD_SORTS.includes(req.query.sort) ? req.query.sort : 'wins';
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
     
-    clone() {
-        return new Vector3(this.x, this.y, this.z);
+    try {
+        res.json({ sortBy: sortBy, players: await statsStore.getLeaderboard({ sortBy: sortBy, limit: limit }) });
+    } catch (error) {
+        console.error('Error reading leaderboard:', error);
+        res.status(500).json({ error: 'Could not read leaderboard' });
     }
-}
+});
 
-// Define THREE before it's used
-const THREE = {
-    Vector3: Vector3
-};
+// One player's totals and recent matches
+app.get('/api/players/:name', async (req, res) => {
+    try {
+        const stats = await statsStore.getPlayer(req.params.name);
+        if (!stats) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        res.json(stats);
+    } catch (error) {
+        console.error('Error reading player stats:', error);
+        res.status(500).json({ error: 'Could not read player stats' });
+    }
+});
 
-// Generate server-side map once at startup
-generateMap();
+// Independent matches hosted by this process, by room ID
+const rooms = new Map();
+let nextRoomId = 1;
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 10;
 
-// Generate random map on the server
-function generateMap() {
-    // Clear any existing map data
-    mapData.buildings = [];
-    mapData.grassPatches = [];
-    mapData.obstacles = [];
-    
-    // Add buildings
-    for (let i = 0; i < 20; i++) {
-        // Random building dimensions
-        const width = 3 + Math.random() * 8;
-        const depth = 3 + Math.random() * 8;
-        const height = 3 + Math.random() * 5;
-        
-        // Position away from center
-        let x, z;
-        do {
-            x = (Math.random() - 0.5) * 80;
-            z = (Math.random() - 0.5) * 80;
-        } while (Math.abs(x) < 10 && Math.abs(z) < 10); // Keep clear area around player
-        
-        // Create building data
-        const building = {
-            position: new Vector3(x, height/2, z),
-            size: new Vector3(width, height, depth),
-            color: Math.random() * 0.1 // HSL hue value to recreate color on client
-        };
-        
-        mapData.buildings.push(building);
-        
-        // Add to obstacles list for collision detection
-        mapData.obstacles.push({
-            position: new Vector3(x, 0, z),
-            size: new Vector3(width, height, depth)
-        });
-    }
-    
-    // Add grass patches
-    for (let i = 0; i < 15; i++) {
-        const size = 2 + Math.random() * 8;
-        
-        const grassPatch = {
-            position: new Vector3(
-                (Math.random() - 0.5) * 90,
-                0.01, // Just above ground
-                (Math.random() - 0.5) * 90
-            ),
-            size: size
-        };
-        
-        mapData.grassPatches.push(grassPatch);
-    }
-    
-    console.log(`Generated server-side map with ${mapData.buildings.length} buildings and ${mapData.grassPatches.length} grass patches`);
-}
+// Live server control for admins, see src/server/admin.js
+const banList = new BanList();
+app.use('/api/admin', createAdminRouter(rooms, banList, mapRotation));
+
+// Fixed-rate simulation loop
+const TICK_RATE = Number(process.env.TICK_RATE) || 20; // Ticks per second
+const TICK_INTERVAL = 1000 / TICK_RATE;
+const RATE_LIMITS = getRateLimits(TICK_RATE); // Snapshot acks scale with the tick rate
+
+// Reverse proxies in front of the server (e.g. 1 on Render). Their
+// X-Forwarded-For entries are trusted to find a client's real address
+const TRUST_PROXY = Number(process.env.TRUST_PROXY) || 0;
+
+// Connections sending this many malformed messages are dropped
+const MAX_INVALID_MESSAGES = 50;
 
 // Handle new WebSocket connections
 wss.on('connection', (socket, req) => {
     console.log('Client connected');
     
-    // Assign unique ID to player
-    const playerId = uuid();
-    
-    // Create player object with initial state
-    players.set(playerId, {
-        id: playerId,
-        position: new Vector3(Math.random() * 40 - 20, 0.5, Math.random() * 40 - 20),
-        rotation: 0,
-        health: 100,
-        weapon: 0, // Start with fists
-        isAlive: true
-    });
-    
-    // Send player their ID, current game state, and map data
-    socket.send(JSON.stringify({
-        type: 'playerConnected',
-        id: playerId,
-        gameInProgress: gameInProgress,
-        mapData: mapData, // Send the server-generated map
-        players: Array.from(players.entries()).map(([id, player]) => ({
-            id,
-            position: player.position,
-            rotation: player.rotation,
-            health: player.health,
-            weapon: player.weapon,
-            isAlive: player.isAlive
-        }))
-    }));
-    
-    // Broadcast new player to everyone else
-    broadcastToAll({
-        type: 'playerJoined',
-        id: playerId,
-        position: players.get(playerId).position,
-        rotation: players.get(playerId).rotation,
-        health: players.get(playerId).health,
-        weapon: players.get(playerId).weapon
-    }, playerId);
+    // Nothing is sent until the client's hello tells us which encoding it speaks
+    socket.playerId = null;
+    socket.room = null;
+    socket.encoding = 'json';
+    socket.snapshotHistory = new Map(); // tick -> snapshot state sent to this client
+    socket.ackedTick = 0; // Latest snapshot the client confirmed, used as the delta baseline
+    socket.isAlive = true;
+    socket.invalidMessages = 0; // Malformed messages received, see rejectMessage
+    socket.rateLimiter = new RateLimiter(RATE_LIMITS);
+    socket.remoteAddress = getClientAddress(req); // Checked against admin bans
+    socket.on('pong', heartbeat);
     
     // Handle incoming messages
-    socket.on('message', (data) => {
+    socket.on('message', (data, isBinary) => {
+        let message;
+        try {
+            message = decodeMessage(isBinary ? data : data.toString());
+        } catch (e) {
+            rejectMessage(socket, null, 'Could not decode message');
+            return;
+        }
+        
+        // Drop floods before doing any work on them
+        if (!checkRateLimit(socket, message && message.type)) {
+            return;
+        }
+        
+        // Check every field before anything acts on the message
+        const error = validateMessage(message, 'client');
+        if (error) {
+            rejectMessage(socket, message && message.type, error);
+            return;
+        }
+        
         try {
-            const message = JSON.parse(data);
+            // The first message must be the hello handshake
+            if (!socket.playerId) {
+                if (message.type === 'hello') {
+                    handleHello(socket, message);
+                }
+                return;
+            }
+            
+            const playerId = socket.playerId;
+            const room = socket.room;
             
             switch (message.type) {
-                case 'playerUpdate':
-                    // Update player position
-                    if (players.has(playerId)) {
-                        const player = players.get(playerId);
-                        
-                        // Only allow position updates for alive players
-                        if (player.isAlive) {
-                            // Update position
-                            player.position.x = message.position.x;
-                            player.position.y = message.position.y;
-                            player.position.z = message.position.z;
-                            
-                            // Update rotation
-                            player.rotation = message.rotation;
-                            
-                            // Broadcast to other players
-                            broadcastToAll({
-                                type: 'playerMoved',
-                                id: playerId,
-                                position: player.position,
-                                rotation: player.rotation
-                            }, playerId);
-                        }
+                case 'playerInput':
+                    // Movement is applied on the next simulation tick
+                    room.queuePlayerInput(playerId, message);
+                    break;
+                    
+                case 'snapshotAck':
+                    // Client has this snapshot, so we can send deltas against it
+                    if (Number.isInteger(message.tick) && message.tick > socket.ackedTick &&
+                        socket.snapshotHistory.has(message.tick)) {
+                        socket.ackedTick = message.tick;
                     }
                     break;
                     
                 case 'respawn':
                     // Handle respawn request
-                    if (players.has(playerId)) {
-                        const player = players.get(playerId);
-                        
-                        // Only allow respawn if game is not in progress or player is already alive
-                        if (!gameInProgress) {
-                            // Reset player
-                            player.isAlive = true;
-                            player.health = 100;
-                            player.position = new Vector3(Math.random() * 40 - 20, 0.5, Math.random() * 40 - 20);
-                            player.weapon = 0;
-                            
-                            // Send successful respawn confirmation
-                            socket.send(JSON.stringify({
-                                type: 'respawnAccepted',
-                                position: player.position
-                            }));
-                            
-                            // Broadcast player respawn to others
-                            broadcastToAll({
-                                type: 'playerRespawned',
-                                id: playerId,
-                                position: player.position,
-                                rotation: player.rotation,
-                                health: player.health,
-                                weapon: player.weapon
-                            }, playerId);
-                        } else {
-                            // Reject respawn - game in progress
-                            socket.send(JSON.stringify({
-                                type: 'respawnRejected',
-                                reason: 'Cannot respawn during active game round'
-                            }));
-                        }
-                    }
+                    room.handleRespawnRequest(playerId);
                     break;
                     
                 case 'attack':
                     // Player attack
-                    handleAttack(playerId, message);
+                    room.handleAttack(playerId, message);
                     break;
                     
                 case 'projectileHit':
-                    // Handle projectile hit
-                    handleProjectileHit(playerId, message);
+                    // Client hit report - only used as a hint for the server simulation
+                    room.handleProjectileHit(playerId, message);
+                    break;
+                    
+                case 'switchWeapon':
+                    // Player changed weapon
+                    room.handleWeaponSwitch(playerId, message);
+                    break;
+                    
+                case 'pickUp':
+                    // Player wants a pickup they're standing next to
+                    room.handlePickUp(playerId, message);
+                    break;
+                    
+                case 'reload':
+                    room.handleReload(playerId);
+                    break;
+                    
+                case 'cancelReload':
+                    room.handleCancelReload(playerId);
+                    break;
+                    
+                case 'dropItem':
+                    room.handleDropItem(playerId, message);
+                    break;
+                    
+                case 'useItem':
+                    room.handleUseItem(playerId, message);
                     break;
                     
                 case 'requestMapData':
                     // Player is requesting the current map data
-                    socket.send(JSON.stringify({
+                    sendTo(socket, {
                         type: 'mapData',
-                        mapData: mapData
-                    }));
+                        mapData: room.getNetworkMapData()
+                    });
                     break;
                     
                 case 'ping':
                     // Ping-pong to keep connection alive
-                    socket.send(JSON.stringify({
+                    sendTo(socket, {
                         type: 'pong'
-                    }));
+                    });
                     break;
             }
         } catch (e) {
@@ -260,287 +240,191 @@ wss.on('connection', (socket, req) => {
         }
     });
     
+    // Protocol violations such as oversized messages - ws closes the connection itself
+    socket.on('error', error => {
+        console.log(`Connection error from ${describeClient(socket)}: ${error.message}`);
+    });
+    
     // Handle disconnection
     socket.on('close', () => {
         console.log('Client disconnected');
         
-        // Remove player from the game
-        if (players.has(playerId)) {
-            players.delete(playerId);
-            
-            // Broadcast player left
-            broadcastToAll({
-                type: 'playerLeft',
-                id: playerId
-            });
-            
-            // If game is in progress, check if we have a winner
-            if (gameInProgress) {
-                const alivePlayers = getAlivePlayers();
-                if (alivePlayers.length <= 1) {
-                    determineWinner();
-                }
-            }
+        // Hold the player's slot so they can resume after a network blip
+        const room = socket.room;
+        if (room && room.sockets.get(socket.playerId) === socket) {
+            room.disconnectPlayer(socket.playerId);
         }
     });
-    
-    // Store socket reference for later communication
-    socket.playerId = playerId;
 });
 
-// Start battle royale game
-function startGame() {
-    gameInProgress = true;
-    gameStartTime = Date.now();
-    currentAreaSize = STARTING_AREA_SIZE;
-    
-    // Generate a new map for this game
-    generateMap();
+// Tell a client its message was malformed, and drop clients that keep sending them
+function rejectMessage(socket, messageType, error) {
+    socket.invalidMessages++;
     
-    console.log('Battle Royale game started!');
-    
-    // Broadcast game start and map data to all players
-    broadcastToAll({
-        type: 'gameStarted',
-        startTime: gameStartTime,
-        mapData: mapData
+    sendTo(socket, {
+        type: 'error',
+        code: 'invalidMessage',
+        message: error,
+        messageType: typeof messageType === 'string' ? messageType : undefined
     });
     
-    // Start shrinking the play area over time
-    startShrinkingPlayArea();
+    if (socket.invalidMessages >= MAX_INVALID_MESSAGES) {
+        console.log(`Dropping client after ${socket.invalidMessages} invalid messages`);
+        socket.close(1008, 'Too many invalid messages');
+    }
 }
 
-// End current game
-function endGame() {
-    gameInProgress = false;
-    gameStartTime = null;
-    currentAreaSize = STARTING_AREA_SIZE;
+// Apply the connection's rate limit for a message type. Returns false if the
+// message should be dropped, warning or disconnecting clients that keep flooding
+function checkRateLimit(socket, type) {
+    if (socket.readyState !== WebSocket.OPEN) return false;
     
-    console.log('Battle Royale game ended');
+    const action = socket.rateLimiter.check(type);
+    if (action === RATE_LIMIT_ACTIONS.ALLOW) return true;
     
-    // Broadcast game end to all players
-    broadcastToAll({
-        type: 'gameEnded'
-    });
-    
-    // Reset all dead players so they can respawn
-    players.forEach((player, id) => {
-        // Keep players who survived as alive
-        // Dead players will need to respawn
-    });
-}
-
-// Periodically shrink the play area (battle royale style)
-function startShrinkingPlayArea() {
-    const shrinkInterval = setInterval(() => {
-        if (!gameInProgress) {
-            clearInterval(shrinkInterval);
-            return;
-        }
-        
-        // Reduce play area size
-        currentAreaSize *= 0.9;
-        
-        console.log(`Shrinking play area to ${currentAreaSize}`);
-        
-        // Broadcast new area size
-        broadcastToAll({
-            type: 'areaShrank',
-            newSize: currentAreaSize
-        });
-        
-        // Check if any players are outside the play area and damage them
-        players.forEach((player, id) => {
-            if (player.isAlive) {
-                const distanceFromCenter = Math.sqrt(
-                    player.position.x * player.position.x + 
-                    player.position.z * player.position.z
-                );
-                
-                if (distanceFromCenter > currentAreaSize / 2) {
-                    // Player is outside the safe zone, apply damage
-                    const damage = 5;
-                    applyDamage(id, damage, 'zone');
-                    
-                    // Inform player they're taking damage from the zone
-                    const socket = getSocketByPlayerId(id);
-                    if (socket) {
-                        socket.send(JSON.stringify({
-                            type: 'zoneDamage',
-                            damage: damage
-                        }));
-                    }
-                }
-            }
+    if (action === RATE_LIMIT_ACTIONS.WARN) {
+        console.log(`Rate limiting ${describeClient(socket)} (${type} messages)`);
+        sendTo(socket, {
+            type: 'error',
+            code: 'rateLimited',
+            message: 'You are sending messages too fast',
+            messageType: typeof type === 'string' ? type : undefined
         });
-        
-        // End the game if area is too small or only one player left
-        if (currentAreaSize < 5 || getAlivePlayers().length <= 1) {
-            determineWinner();
-            endGame();
-            clearInterval(shrinkInterval);
-        }
-    }, BATTLE_ROYALE_COUNTDOWN * 1000);
+    } else if (action === RATE_LIMIT_ACTIONS.DISCONNECT) {
+        console.log(`Disconnecting ${describeClient(socket)} for flooding (${type} messages)`);
+        socket.close(1008, 'Rate limit exceeded');
+    }
+    return false;
 }
 
-// Handle player attack
-function handleAttack(attackerId, data) {
-    const attacker = players.get(attackerId);
-    if (!attacker || !attacker.isAlive) return;
-    
-    if (data.projectile) {
-        // Handle projectile attack (will be checked for hits on client side)
-        broadcastToAll({
-            type: 'projectileFired',
-            id: attackerId,
-            origin: data.origin,
-            direction: data.direction,
-            weapon: attacker.weapon
-        });
-    } else {
-        // Handle melee attack
-        const targetId = data.targetId;
-        if (targetId && players.has(targetId)) {
-            const target = players.get(targetId);
-            if (target.isAlive) {
-                // Get weapon damage
-                const weapons = [
-                    { damage: 10 },  // Fists
-                    { damage: 25 },  // Knife
-                    { damage: 30 },  // Baseball Bat
-                    { damage: 40 }   // Gun
-                ];
-                const damage = weapons[attacker.weapon].damage;
-                
-                // Apply damage to target
-                applyDamage(targetId, damage, attackerId);
-            }
-        }
-    }
+// The address a connection came from. Behind TRUST_PROXY proxies that is the
+// X-Forwarded-For entry the outermost trusted proxy added; anything left of it
+// was sent by the client and could be made up
+function getClientAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (TRUST_PROXY === 0 || !forwarded) return req.socket.remoteAddress;
+
+    const addresses = forwarded.split(',').map(address => address.trim());
+    return addresses[Math.max(0, addresses.length - TRUST_PROXY)] || req.socket.remoteAddress;
 }
 
-// Handle projectile hit
-function handleProjectileHit(attackerId, data) {
-    const attacker = players.get(attackerId);
-    const targetId = data.targetId;
-    
-    if (!attacker || !attacker.isAlive || !targetId || !players.has(targetId)) return;
-    
-    const target = players.get(targetId);
-    if (!target.isAlive) return;
-    
-    // Apply the damage from the projectile
-    applyDamage(targetId, data.damage, attackerId);
+// Player name and room for logs, or the address if they haven't joined yet
+function describeClient(socket) {
+    const player = socket.room && socket.room.players.get(socket.playerId);
+    return player ? `${player.name} in room ${socket.room.id}` : socket.remoteAddress;
 }
 
-// Apply damage to a player
-function applyDamage(playerId, amount, sourceId) {
-    if (!players.has(playerId)) return;
-    
-    const player = players.get(playerId);
-    player.health -= amount;
+// Negotiate the protocol and add the player to a room
+function handleHello(socket, data) {
+    if (data.protocolVersion !== PROTOCOL_VERSION) {
+        sendTo(socket, {
+            type: 'error',
+            code: 'unsupportedProtocol',
+            message: `Server speaks protocol version ${PROTOCOL_VERSION}`
+        });
+        socket.close(1002, 'Unsupported protocol version');
+        return;
+    }
     
-    // Broadcast damage event
-    broadcastToAll({
-        type: 'playerDamaged',
-        id: playerId,
-        health: player.health,
-        source: sourceId
-    });
+    // Binary by default, JSON when the client asks for it (handy for debugging)
+    socket.encoding = ENCODINGS.includes(data.encoding) ? data.encoding : 'json';
     
-    // Check if player is dead
-    if (player.health <= 0 && player.isAlive) {
-        playerDied(playerId, sourceId);
+    // Keep banned players out, whatever name they come back with
+    const ban = banList.find(normalizeName(data.name), socket.remoteAddress);
+    if (ban) {
+        sendTo(socket, {
+            type: 'error',
+            code: 'banned',
+            message: `You are banned from this server: ${ban.reason}`
+        });
+        socket.close(1008, 'Banned');
+        return;
     }
-}
-
-// Handle player death
-function playerDied(playerId, killerId) {
-    const player = players.get(playerId);
-    player.isAlive = false;
     
-    console.log(`Player ${playerId} was eliminated by ${killerId}`);
+    // Reclaim a held slot if the client brings a valid resume token
+    if (typeof data.resumeToken === 'string') {
+        for (const room of rooms.values()) {
+            const player = room.findPlayerByResumeToken(data.resumeToken);
+            if (player) {
+                room.resumePlayer(socket, player, data);
+                return;
+            }
+        }
+    }
     
-    // If killer is a player, increment their score
-    if (killerId !== 'zone' && players.has(killerId)) {
-        const killer = players.get(killerId);
-        killer.score += 1;
-        
-        // Broadcast score update
-        broadcastToAll({
-            type: 'scoreUpdated',
-            id: killerId,
-            score: killer.score
+    // Everyone plays under a unique display name
+    const name = normalizeName(data.name);
+    const nameError = validateName(name);
+    if (nameError || isNameTaken(name)) {
+        sendTo(socket, {
+            type: 'error',
+            code: nameError ? 'invalidName' : 'nameTaken',
+            message: nameError || `The name "${name}" is already taken`
         });
+        socket.close(1008, 'Name rejected');
+        return;
     }
     
-    // Broadcast player death
-    broadcastToAll({
-        type: 'playerDied',
-        id: playerId,
-        killerId: killerId
-    });
-    
-    // Check if game should end (only one player left)
-    const alivePlayers = getAlivePlayers();
-    if (gameInProgress && alivePlayers.length <= 1) {
-        determineWinner();
-        endGame();
+    // Enforce the player limit
+    const room = findRoom();
+    if (!room) {
+        sendTo(socket, {
+            type: 'error',
+            code: 'serverFull',
+            message: 'The server is full, try again later'
+        });
+        socket.close(1013, 'Server full');
+        return;
     }
+    
+    room.addPlayer(socket, data, name);
 }
 
-// Get all alive players
-function getAlivePlayers() {
-    return Array.from(players.values()).filter(p => p.isAlive);
+// Check if anyone on the server, in any room, already uses a name
+function isNameTaken(name) {
+    return Array.from(rooms.values()).some(room => room.hasPlayerNamed(name));
 }
 
-// Determine the winner
-function determineWinner() {
-    const alivePlayers = getAlivePlayers();
+// Pick a room for a new player: one about to start if possible, then any room
+// with space, then a new room
+function findRoom() {
+    const open = Array.from(rooms.values()).filter(room => !room.isFull());
+    const room = open.find(candidate => candidate.isJoinable()) || open[0];
+    if (room) return room;
     
-    if (alivePlayers.length === 1) {
-        // We have a winner
-        const winner = alivePlayers[0];
-        console.log(`Player ${winner.id} won the game!`);
-        
-        // Broadcast winner
-        broadcastToAll({
-            type: 'gameWon',
-            winnerId: winner.id,
-            winnerScore: winner.score
-        });
-    } else {
-        // No winner (everyone died or left)
-        console.log('Game ended with no winner');
-        broadcastToAll({
-            type: 'gameDraw'
-        });
-    }
-}
-
-// Helper to get WebSocket by player ID
-function getSocketByPlayerId(playerId) {
-    for (const client of wss.clients) {
-        if (client.playerId === playerId) {
-            return client;
-        }
-    }
-    return null;
+    if (rooms.size >= MAX_ROOMS) return null;
+    
+    const newRoom = new Room(nextRoomId++, statsStore, mapRotation);
+    rooms.set(newRoom.id, newRoom);
+    console.log(`Opened room ${newRoom.id}`);
+    return newRoom;
 }
 
-// Broadcast message to all connected clients
-function broadcastToAll(data, excludeId = null) {
-    const message = JSON.stringify(data);
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && (!excludeId || client.playerId !== excludeId)) {
-            client.send(message);
+// Run one fixed simulation step in every room
+function tick() {
+    const now = Date.now();
+    rooms.forEach(room => {
+        room.tick(now);
+        
+        // Close rooms once every player has left and no held slots remain
+        if (room.isEmpty()) {
+            rooms.delete(room.id);
+            console.log(`Closed room ${room.id}`);
         }
     });
 }
 
-// Add heartbeat for connection monitoring
+// Run the authoritative simulation at a fixed tick rate
+const tickInterval = setInterval(tick, TICK_INTERVAL);
+
+// Add heartbeat for connection monitoring. Also measures round-trip time
+// for the scoreboard from the latency probe pings
 function heartbeat() {
     this.isAlive = true;
+    if (this.pingSentAt) {
+        this.latency = Date.now() - this.pingSentAt;
+        this.pingSentAt = null;
+    }
 }
 
 // Set up heartbeat interval to track connection status
@@ -555,29 +439,49 @@ const heartbeatInterval = setInterval(() => {
     });
 }, 30000);
 
+// Measure every client's ping every couple of seconds
+const LATENCY_PROBE_INTERVAL = 2000;
+const latencyInterval = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (ws.readyState !== WebSocket.OPEN || ws.pingSentAt) return;
+        
+        ws.pingSentAt = Date.now();
+        ws.ping(() => {});
+    });
+}, LATENCY_PROBE_INTERVAL);
+
 // Clean up on server close
 wss.on('close', () => {
     clearInterval(heartbeatInterval);
+    clearInterval(latencyInterval);
+    clearInterval(tickInterval);
 });
 
 // Set up regular status monitoring
 setInterval(() => {
     const connectedPlayers = wss.clients.size;
-    console.log(`Status: ${connectedPlayers} players connected. Game in progress: ${gameInProgress}`);
-    if (gameInProgress) {
-        console.log(`Current zone size: ${currentAreaSize}, Active players: ${getAlivePlayers().length}`);
-    }
+    console.log(`Status: ${connectedPlayers} players connected in ${rooms.size} rooms. Ticking at ${TICK_RATE}Hz`);
+    console.log(`Outgoing bandwidth: ${(takeBytesSent() / 60 / 1024).toFixed(1)} KB/s`);
+    rooms.forEach(room => {
+        let status = `${room.players.size} players, match state: ${room.matchState}, tick ${room.currentTick}`;
+        if (room.matchState === MATCH_STATES.IN_PROGRESS) {
+            const zone = room.getAdminZoneInfo();
+            status += `, zone phase ${zone.phase}/${zone.phaseCount} radius ${zone.radius.toFixed(1)}, alive: ${room.getAlivePlayers().length}`;
+        }
+        room.log(status);
+    });
 }, 60000);
 
-// Use our Vector3 implementation in Node.js
-if (typeof THREE === 'undefined') {
-    global.THREE = {
-        Vector3: Vector3
-    };
-}
+// Save pending stats before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        if (statsStore.flush) statsStore.flush();
+        process.exit(0);
+    });
+});
 
 // Start the server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-    console.log(`Server listening on port ${PORT}`);
-}); 
\ No newline at end of file
+    console.log(`Server listening on port ${PORT} (simulation at ${TICK_RATE} ticks per second)`);
+});
@@ -0,0 +1,188 @@
+// Admin HTTP API for controlling the live server. Every request must carry
+// the ADMIN_TOKEN environment variable as a bearer token:
+//
+//   Authorization: Bearer <ADMIN_TOKEN>
+//
+// Without ADMIN_TOKEN set the API is switched off.
+const crypto = require('crypto');
+const express = require('express');
+const { MAX_SEED, isValidSeed } = require('../shared/prng.js');
+const { validateZonePhases } = require('../shared/zone.js');
+
+const MAX_MESSAGE_LENGTH = 200; // Longest server message an admin can broadcast
+
+// Compare tokens in constant time so their content can't be guessed from timing
+function tokenMatches(given, expected) {
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Reject requests without the admin token
+function requireAdminToken(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+        return res.status(503).json({ error: 'Admin API is disabled, set ADMIN_TOKEN to enable it' });
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !tokenMatches(match[1], expected)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// Routes for rooms, players, bans, server messages, zone timing and maps.
+// rooms is the server's live Map of room ID -> Room
+function createAdminRouter(rooms, banList, mapRotation) {
+    const router = express.Router();
+    router.use(requireAdminToken);
+    router.use(express.json());
+
+    // Look up the room in the URL, or answer 404
+    function getRoom(req, res) {
+        const room = rooms.get(Number(req.params.roomId));
+        if (!room) {
+            res.status(404).json({ error: 'Room not found' });
+        }
+        return room;
+    }
+
+    // Find a player in any room, or answer 404
+    function getPlayer(req, res) {
+        for (const room of rooms.values()) {
+            const player = room.players.get(req.params.playerId);
+            if (player) return { room: room, player: player };
+        }
+        res.status(404).json({ error: 'Player not found' });
+        return null;
+    }
+
+    // Every room with its match state and players
+    router.get('/rooms', (req, res) => {
+        res.json({ rooms: Array.from(rooms.values()).map(room => room.getAdminInfo()) });
+    });
+
+    router.post('/rooms/:roomId/start', (req, res) => {
+        const room = getRoom(req, res);
+        if (!room) return;
+
+        const error = room.forceStart();
+        if (error) {
+            return res.status(409).json({ error: error });
+        }
+        res.json(room.getAdminInfo());
+    });
+
+    router.post('/rooms/:roomId/end', (req, res) => {
+        const room = getRoom(req, res);
+        if (!room) return;
+
+        const error = room.forceEnd();
+        if (error) {
+            return res.status(409).json({ error: error });
+        }
+        res.json(room.getAdminInfo());
+    });
+
+    // Change the safe zone's phase schedule from the next match, e.g.
+    // { "phases": [{ "wait": 60, "shrink": 40, "radius": 0.5, "damagePerSecond": 2 }] }.
+    // A match in progress keeps the zone it was planned with
+    router.post('/rooms/:roomId/zone', (req, res) => {
+        const room = getRoom(req, res);
+        if (!room) return;
+
+        const phases = req.body.phases;
+        const error = validateZonePhases(phases);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        room.setZonePhases(phases.map(phase => ({
+            wait: phase.wait,
+            shrink: phase.shrink,
+            radius: phase.radius,
+            damagePerSecond: phase.damagePerSecond
+        })));
+        res.json(room.getAdminInfo());
+    });
+
+    // Map files that can be played, and the rotation
+    router.get('/maps', (req, res) => {
+        res.json({ maps: mapRotation.names(), rotation: mapRotation.order });
+    });
+
+    // Pick the room's next map: a map file, e.g. { "name": "docklands" },
+    // or a generated map, e.g. { "seed": 12345 }
+    router.post('/rooms/:roomId/map', (req, res) => {
+        const room = getRoom(req, res);
+        if (!room) return;
+
+        if (req.body.name !== undefined) {
+            if (!mapRotation.get(req.body.name)) {
+                return res.status(400).json({ error: `Unknown map "${req.body.name}"` });
+            }
+            room.setNextMap({ name: req.body.name });
+        } else if (isValidSeed(req.body.seed)) {
+            room.setNextMap({ seed: req.body.seed });
+        } else {
+            return res.status(400).json({ error: `Send a map name or a seed from 0 to ${MAX_SEED}` });
+        }
+
+        res.json(room.getAdminInfo());
+    });
+
+    router.post('/players/:playerId/kick', (req, res) => {
+        const found = getPlayer(req, res);
+        if (!found) return;
+
+        const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Kicked by an admin';
+        found.room.kickPlayer(found.player.id, 'kicked', reason);
+        res.json({ kicked: found.player.name });
+    });
+
+    // Ban a player's name and address, and remove them from the server
+    router.post('/players/:playerId/ban', (req, res) => {
+        const found = getPlayer(req, res);
+        if (!found) return;
+
+        const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Banned by an admin';
+        banList.ban(found.player.name, found.player.address, reason);
+        found.room.kickPlayer(found.player.id, 'banned', reason);
+        res.json({ banned: found.player.name });
+    });
+
+    router.get('/bans', (req, res) => {
+        res.json({ bans: banList.list() });
+    });
+
+    router.delete('/bans/:name', (req, res) => {
+        if (!banList.unban(req.params.name)) {
+            return res.status(404).json({ error: 'No ban for that name' });
+        }
+        res.json({ unbanned: req.params.name });
+    });
+
+    // Show a message to every player, or only those in { roomId }
+    router.post('/broadcast', (req, res) => {
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+        if (!message || message.length > MAX_MESSAGE_LENGTH) {
+            return res.status(400).json({ error: `message must be 1 to ${MAX_MESSAGE_LENGTH} characters` });
+        }
+
+        let targets = Array.from(rooms.values());
+        if (req.body.roomId !== undefined) {
+            targets = targets.filter(room => room.id === req.body.roomId);
+            if (targets.length === 0) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+        }
+
+        targets.forEach(room => room.broadcast({ type: 'serverMessage', message: message }));
+        res.json({ rooms: targets.map(room => room.id) });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
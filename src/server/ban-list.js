@@ -0,0 +1,42 @@
+// Players banned by an admin. A ban covers the player's display name and, if
+// we saw one, the address they connected from. Bans last until they are
+// lifted or the server restarts.
+const { nameKey } = require('../shared/names.js');
+
+class BanList {
+    constructor() {
+        this.bans = new Map(); // nameKey -> { name, address, reason, bannedAt }
+    }
+
+    ban(name, address, reason) {
+        this.bans.set(nameKey(name), {
+            name: name,
+            address: address || null,
+            reason: reason,
+            bannedAt: Date.now()
+        });
+    }
+
+    // Returns false if nobody by that name was banned
+    unban(name) {
+        return this.bans.delete(nameKey(name));
+    }
+
+    // The ban matching a name or address, or null
+    find(name, address) {
+        const byName = this.bans.get(nameKey(name));
+        if (byName) return byName;
+
+        if (!address) return null;
+        for (const ban of this.bans.values()) {
+            if (ban.address === address) return ban;
+        }
+        return null;
+    }
+
+    list() {
+        return Array.from(this.bans.values());
+    }
+}
+
+module.exports = { BanList };
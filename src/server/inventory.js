@@ -0,0 +1,190 @@
+// What a player carries: the slots laid out in src/shared/inventory.js, the
+// slot they hold, and ammo for ranged weapons. Items going in and out use
+// the same shape as pickups, { kind, item, amount }, where amount is the
+// loaded rounds of a weapon, the rounds in an ammo box or a consumable count.
+const { WEAPONS, usesAmmo } = require('../shared/weapons.js');
+const { PICKUP_KINDS, getPickupName } = require('../shared/loot.js');
+const { SLOTS, MELEE_SLOT, MAX_CONSUMABLE_STACK, slotAccepts, isWeaponSlot } = require('../shared/inventory.js');
+
+const STARTING_WEAPON = 0; // Everyone starts a life with only this weapon
+
+class Inventory {
+    constructor() {
+        this.reset();
+    }
+
+    // Back to a fresh life: the starting weapon and nothing else
+    reset() {
+        this.slots = SLOTS.map(() => null); // { kind, item, count } or null
+        this.slots[MELEE_SLOT] = { kind: PICKUP_KINDS.WEAPON, item: STARTING_WEAPON, count: 1 };
+        this.selected = MELEE_SLOT; // Slot of the weapon in hand
+        this.ammo = WEAPONS.map(() => ({ magazine: 0, reserve: 0 })); // Indexed like WEAPONS
+    }
+
+    // Index of the weapon in hand
+    get heldWeapon() {
+        return this.slots[this.selected].item;
+    }
+
+    hasWeapon(weaponIndex) {
+        return this.slots.some(slot => slot && slot.kind === PICKUP_KINDS.WEAPON && slot.item === weaponIndex);
+    }
+
+    // Hold the weapon in a slot. Returns false if there's no weapon there
+    select(slot) {
+        if (!isWeaponSlot(slot) || !this.slots[slot]) return false;
+        this.selected = slot;
+        return true;
+    }
+
+    // Hold a weapon by its index, wherever it is. Returns false if it isn't carried
+    selectWeapon(weaponIndex) {
+        const slot = this.slots.findIndex(entry => entry && entry.kind === PICKUP_KINDS.WEAPON && entry.item === weaponIndex);
+        return slot !== -1 && this.select(slot);
+    }
+
+    // Take an item. Returns { error } if it can't be taken, otherwise
+    // { dropped } with anything that had to make room or didn't fit
+    add(item) {
+        switch (item.kind) {
+            case PICKUP_KINDS.WEAPON:
+                return this.addWeapon(item);
+            case PICKUP_KINDS.AMMO:
+                return this.addAmmo(item);
+            default:
+                return this.addConsumable(item);
+        }
+    }
+
+    // A new weapon goes in a free slot that takes it, or swaps out the held
+    // weapon (or the first one of its type). The new weapon is held
+    addWeapon(item) {
+        if (this.hasWeapon(item.item)) {
+            return { error: `You already have a ${getPickupName(item)}` };
+        }
+
+        const slots = this.slots.map((entry, slot) => slot).filter(slot => slotAccepts(slot, item.kind, item.item));
+        let slot = slots.find(candidate => !this.slots[candidate]);
+        const dropped = [];
+        if (slot === undefined) {
+            slot = slots.includes(this.selected) ? this.selected : slots[0];
+            dropped.push(this.remove(slot, false));
+        }
+
+        this.slots[slot] = { kind: item.kind, item: item.item, count: 1 };
+        if (usesAmmo(WEAPONS[item.item])) {
+            this.ammo[item.item].magazine = item.amount;
+        }
+        this.selected = slot;
+        return { dropped: dropped };
+    }
+
+    // Rounds go in the reserve, up to the weapon's limit. What doesn't fit is left behind
+    addAmmo(item) {
+        const weapon = WEAPONS[item.item];
+        const ammo = this.ammo[item.item];
+        const space = weapon.maxReserve - ammo.reserve;
+        if (space <= 0) {
+            return { error: `You can't carry any more ${getPickupName(item)}` };
+        }
+
+        const taken = Math.min(space, item.amount);
+        ammo.reserve += taken;
+        const dropped = taken < item.amount ? [{ kind: item.kind, item: item.item, amount: item.amount - taken }] : [];
+        return { dropped: dropped };
+    }
+
+    // Consumables stack onto a slot with the same item, or take a free one
+    addConsumable(item) {
+        let remaining = item.amount;
+        this.slots.forEach((entry, slot) => {
+            if (remaining === 0 || !slotAccepts(slot, item.kind, item.item)) return;
+
+            if (!entry) {
+                const count = Math.min(remaining, MAX_CONSUMABLE_STACK);
+                this.slots[slot] = { kind: item.kind, item: item.item, count: count };
+                remaining -= count;
+            } else if (entry.kind === item.kind && entry.item === item.item) {
+                const count = Math.min(remaining, MAX_CONSUMABLE_STACK - entry.count);
+                entry.count += count;
+                remaining -= count;
+            }
+        });
+
+        if (remaining === item.amount) {
+            return { error: `No room for ${getPickupName(item)}` };
+        }
+        const dropped = remaining > 0 ? [{ kind: item.kind, item: item.item, amount: remaining }] : [];
+        return { dropped: dropped };
+    }
+
+    // Take everything out of a slot and return it as an item, or null if it's
+    // empty. The melee slot can only be emptied to swap in another melee weapon
+    remove(slot, reselect = true) {
+        const entry = this.slots[slot];
+        if (!entry || (slot === MELEE_SLOT && reselect)) return null;
+
+        this.slots[slot] = null;
+        let amount = entry.count;
+        if (entry.kind === PICKUP_KINDS.WEAPON) {
+            // A dropped weapon keeps the rounds loaded in it
+            amount = this.ammo[entry.item].magazine;
+            this.ammo[entry.item].magazine = 0;
+        }
+        if (reselect && slot === this.selected) {
+            this.selected = MELEE_SLOT;
+        }
+        return { kind: entry.kind, item: entry.item, amount: amount };
+    }
+
+    // Use up one consumable from a slot, emptying the slot after the last one
+    consume(slot) {
+        const entry = this.slots[slot];
+        if (!entry || entry.kind !== PICKUP_KINDS.CONSUMABLE) return;
+
+        entry.count -= 1;
+        if (entry.count === 0) {
+            this.slots[slot] = null;
+        }
+    }
+
+    // Empty the whole inventory, e.g. on death. Returns every item, including
+    // spare ammo as ammo boxes, but not the starting weapon everyone has anyway
+    removeAll() {
+        const items = [];
+        this.slots.forEach((entry, slot) => {
+            if (!entry || (entry.kind === PICKUP_KINDS.WEAPON && entry.item === STARTING_WEAPON)) return;
+            items.push(this.remove(slot, false));
+        });
+        this.ammo.forEach((ammo, weaponIndex) => {
+            if (ammo.reserve > 0) {
+                items.push({ kind: PICKUP_KINDS.AMMO, item: weaponIndex, amount: ammo.reserve });
+            }
+        });
+
+        this.reset();
+        return items;
+    }
+
+    // Slots, held slot and ammo as sent in loadout messages
+    toNetwork() {
+        const slots = [];
+        this.slots.forEach((entry, slot) => {
+            if (entry) slots.push({ slot: slot, kind: entry.kind, item: entry.item, count: entry.count });
+        });
+
+        const ammo = [];
+        this.ammo.forEach((rounds, weaponIndex) => {
+            if (usesAmmo(WEAPONS[weaponIndex])) {
+                ammo.push({ weapon: weaponIndex, magazine: rounds.magazine, reserve: rounds.reserve });
+            }
+        });
+
+        return { slots: slots, selected: this.selected, ammo: ammo };
+    }
+}
+
+module.exports = {
+    Inventory,
+    STARTING_WEAPON
+};
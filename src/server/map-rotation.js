@@ -0,0 +1,84 @@
+// Hand-authored maps from the maps/ directory and the order rooms play them
+// in. maps/rotation.json lists map file names without the .json extension;
+// the entry "random" stands for a freshly generated map:
+//
+//   { "maps": ["docklands", "random", "high-street"] }
+//
+// Without a rotation file every match gets a generated map.
+const fs = require('fs');
+const path = require('path');
+const { validateMap } = require('../shared/map-format.js');
+
+const MAPS_DIR = path.join(__dirname, '..', '..', 'maps');
+const RANDOM_MAP = 'random';
+
+class MapRotation {
+    constructor(maps, order) {
+        this.maps = maps; // name -> map document
+        this.order = order; // Map names and RANDOM_MAP entries, played in turn
+    }
+
+    // Map document for a name, or null if there's no such map
+    get(name) {
+        return this.maps.has(name) ? this.maps.get(name) : null;
+    }
+
+    names() {
+        return Array.from(this.maps.keys());
+    }
+
+    // Rotation entry to play for a room's nth map: a map name or RANDOM_MAP
+    entry(index) {
+        return this.order[index % this.order.length];
+    }
+}
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+}
+
+// Load and check every map file and the rotation. Throws if anything is
+// invalid, so a broken map is caught at startup rather than mid-match
+function loadMapRotation(dir = MAPS_DIR) {
+    const maps = new Map();
+    if (fs.existsSync(dir)) {
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json') && file !== 'rotation.json')
+            .forEach(file => {
+                const name = path.basename(file, '.json');
+                const map = readJson(path.join(dir, file));
+                const error = validateMap(map);
+                if (error) {
+                    throw new Error(`Invalid map ${file}: ${error}`);
+                }
+                maps.set(name, map);
+            });
+    }
+
+    const rotationPath = path.join(dir, 'rotation.json');
+    if (!fs.existsSync(rotationPath)) {
+        return new MapRotation(maps, [RANDOM_MAP]);
+    }
+
+    const rotation = readJson(rotationPath);
+    if (!Array.isArray(rotation.maps) || rotation.maps.length === 0) {
+        throw new Error('maps/rotation.json must list at least one map in "maps"');
+    }
+    rotation.maps.forEach(name => {
+        if (name !== RANDOM_MAP && !maps.has(name)) {
+            throw new Error(`maps/rotation.json lists unknown map "${name}"`);
+        }
+    });
+
+    return new MapRotation(maps, rotation.maps);
+}
+
+module.exports = {
+    MapRotation,
+    loadMapRotation,
+    RANDOM_MAP
+};
@@ -0,0 +1,115 @@
+// Per-connection flood protection. Every message type has its own token
+// bucket: a burst allowance that refills at a steady rate. Messages over the
+// limit are dropped, and a connection that keeps hitting its limits is
+// warned and then disconnected.
+
+// { burst, perSecond } for each client message type. Types not listed share
+// the default bucket. snapshotAck is missing here because it follows the
+// server's tick rate, see getRateLimits
+const RATE_LIMITS = {
+    // One per frame on displays up to 240Hz, with room for a lag spike's
+    // backlog. Movement time is capped separately by the room's input budget
+    playerInput: { burst: 360, perSecond: 260 },
+    attack: { burst: 10, perSecond: 10 }, // Server cooldowns are 200ms or longer
+    projectileHit: { burst: 10, perSecond: 10 },
+    switchWeapon: { burst: 10, perSecond: 5 },
+    pickUp: { burst: 5, perSecond: 4 },
+    reload: { burst: 5, perSecond: 2 },
+    cancelReload: { burst: 5, perSecond: 2 },
+    dropItem: { burst: 5, perSecond: 4 },
+    useItem: { burst: 5, perSecond: 2 },
+    respawn: { burst: 3, perSecond: 0.5 },
+    requestMapData: { burst: 2, perSecond: 0.2 }, // The reply is the whole map
+    ping: { burst: 3, perSecond: 1 },
+    default: { burst: 20, perSecond: 10 }
+};
+
+const DEFAULT_TICK_RATE = 20;
+
+// RATE_LIMITS plus the acks for a server sending tickRate snapshots a second
+function getRateLimits(tickRate = DEFAULT_TICK_RATE) {
+    return Object.assign({}, RATE_LIMITS, {
+        snapshotAck: { burst: tickRate * 3, perSecond: tickRate * 2 } // One per snapshot
+    });
+}
+
+// Escalation: limit hits within one window first get dropped, then warned
+// about, then the connection is closed
+const VIOLATION_WINDOW_MS = 10000;
+const WARN_AFTER_VIOLATIONS = 10;
+const DISCONNECT_AFTER_VIOLATIONS = 50;
+
+const RATE_LIMIT_ACTIONS = {
+    ALLOW: 'allow',
+    DROP: 'drop',
+    WARN: 'warn',
+    DISCONNECT: 'disconnect'
+};
+
+class TokenBucket {
+    constructor(burst, perSecond, now) {
+        this.burst = burst;
+        this.perSecond = perSecond;
+        this.tokens = burst;
+        this.lastRefill = now;
+    }
+
+    // Take one token if there is one
+    take(now) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.perSecond / 1000);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+class RateLimiter {
+    // limits comes from getRateLimits, shared by every connection
+    constructor(limits = getRateLimits()) {
+        this.limits = limits;
+        this.buckets = new Map(); // message type -> TokenBucket
+        this.violations = 0; // Limit hits in the current window
+        this.windowStart = 0;
+        this.hits = {}; // message type -> limit hits over the connection's lifetime
+    }
+
+    // What to do with a message of this type: one of RATE_LIMIT_ACTIONS
+    check(type, now = Date.now()) {
+        const key = Object.prototype.hasOwnProperty.call(this.limits, type) ? type : 'default';
+
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            const limit = this.limits[key];
+            bucket = new TokenBucket(limit.burst, limit.perSecond, now);
+            this.buckets.set(key, bucket);
+        }
+
+        if (bucket.take(now)) return RATE_LIMIT_ACTIONS.ALLOW;
+
+        this.hits[key] = (this.hits[key] || 0) + 1;
+
+        if (now - this.windowStart > VIOLATION_WINDOW_MS) {
+            this.windowStart = now;
+            this.violations = 0;
+        }
+        this.violations++;
+
+        if (this.violations >= DISCONNECT_AFTER_VIOLATIONS) return RATE_LIMIT_ACTIONS.DISCONNECT;
+        if (this.violations === WARN_AFTER_VIOLATIONS) return RATE_LIMIT_ACTIONS.WARN;
+        return RATE_LIMIT_ACTIONS.DROP;
+    }
+
+    // Limit hits across all message types
+    totalHits() {
+        return Object.values(this.hits).reduce((sum, count) => sum + count, 0);
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    RATE_LIMITS,
+    RATE_LIMIT_ACTIONS,
+    getRateLimits
+};
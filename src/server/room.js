@@ -0,0 +1,1585 @@
+// A room hosts one battle royale: its own players, map, match lifecycle,
+// safe zone and projectiles. The server runs many rooms side by side and
+// only ever broadcasts within a room.
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+const { quantizePosition, quantizeAngle, SESSION_RESUMED_ELSEWHERE } = require('../shared/protocol.js');
+const { getWeapon, getDamageAtDistance, usesAmmo } = require('../shared/weapons.js');
+const { nameKey } = require('../shared/names.js');
+const { MAX_SEED, randomSeed, isValidSeed } = require('../shared/prng.js');
+const { generateMap } = require('../shared/map-generator.js');
+const { toLayout } = require('../shared/map-format.js');
+const { PICKUP_KINDS, PICKUP_RANGE, rollLoot } = require('../shared/loot.js');
+const { MAX_HEALTH, MAX_ARMOUR, CONSUMABLES, getUseError, absorbDamage } = require('../shared/consumables.js');
+const { DEFAULT_ZONE_PHASES, planZone, getZoneState, isOutsideZone } = require('../shared/zone.js');
+const { RANDOM_MAP } = require('./map-rotation.js');
+const { Inventory, STARTING_WEAPON } = require('./inventory.js');
+const {
+    PLAYER_SIZE,
+    PLAYER_HEIGHT,
+    collidesWithWorld,
+    applyMovementInput
+} = require('../shared/movement.js');
+const { sendTo, broadcast } = require('./transport.js');
+
+// Projectiles currently in flight, simulated by the server
+const PROJECTILE_STEP = 0.25; // Max distance a projectile moves per collision check
+const PROJECTILE_RADIUS = 0.15;
+const PLAYER_RADIUS = 0.5;
+const MAX_MUZZLE_DISTANCE = 3; // How far from the shooter a projectile may spawn
+const AIM_TOLERANCE = 0.15; // Radians the client's aim may have turned since its last input reached us
+
+// Loot
+const PICKUP_RANGE_TOLERANCE = 0.5; // Extra reach for the client seeing itself slightly ahead of the server
+const DROP_SPREAD = 1.2; // Radius of the pile a player's items drop in
+
+// Consumables
+const USE_MOVE_TOLERANCE = 0.05; // Distance a player can drift while using an item before it's interrupted
+
+// Movement input validation
+const MAX_INPUT_DT = 100; // Longest time a single input may cover (ms)
+const INPUT_TIME_TOLERANCE = 1.1; // Inputs may cover slightly more time than has passed, for clock jitter
+const MAX_INPUT_BUDGET_MS = 500; // Input time a player can bank while packets are delayed
+const MAX_QUEUED_INPUTS = 60; // Inputs kept per player between ticks
+
+// Lag compensation
+const MAX_REWIND_MS = 250; // Furthest back in time we'll rewind targets for an attacker
+const POSITION_HISTORY_MS = 1000; // How much per-tick position history to keep
+const MELEE_CONE_DOT = 0.7; // Melee hits must be within about 45 degrees of the aim direction
+
+// Networking
+const SNAPSHOT_HISTORY_TICKS = 32; // Snapshots kept per client as possible delta baselines
+
+// Match lifecycle: waiting -> countdown -> inProgress -> postGame -> reset -> waiting
+const MATCH_STATES = {
+    WAITING: 'waiting',
+    COUNTDOWN: 'countdown',
+    IN_PROGRESS: 'inProgress',
+    POST_GAME: 'postGame'
+};
+const MIN_PLAYERS = Number(process.env.MIN_PLAYERS) || 2; // Players needed to start the countdown
+const COUNTDOWN_SECONDS = Number(process.env.COUNTDOWN_SECONDS) || 10;
+const POST_GAME_SECONDS = Number(process.env.POST_GAME_SECONDS) || 10;
+
+const ZONE_DAMAGE_INTERVAL_MS = 1000; // Players outside the zone are hurt this often, by its damage per second
+const MAX_PLAYERS = 10; // Players per room
+const RESUME_GRACE_SECONDS = Number(process.env.RESUME_GRACE_SECONDS) || 30; // How long a dropped player's slot is held
+const SCOREBOARD_INTERVAL_MS = 1000; // How often clients get the scoreboard
+
+// Fixed seed for every map, e.g. for a tournament. Overrides the map rotation.
+// A bad seed stops the server starting rather than quietly playing another map
+const MAP_SEED = process.env.MAP_SEED ? Number(process.env.MAP_SEED) : null;
+if (MAP_SEED !== null && !isValidSeed(MAP_SEED)) {
+    throw new Error(`MAP_SEED must be a whole number from 0 to ${MAX_SEED}, got "${process.env.MAP_SEED}"`);
+}
+
+// Map IDs are unique across rooms, so a client never mistakes another room's map for its own
+let nextMapId = 0;
+
+// Fix for THREE.Vector3 in Node.js environment
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    clone() {
+        return new Vector3(this.x, this.y, this.z);
+    }
+}
+
+class Room {
+    constructor(id, statsStore, mapRotation) {
+        this.id = id;
+        this.statsStore = statsStore; // Where finished match results are recorded
+        this.mapRotation = mapRotation; // Maps this room plays in turn
+
+        // Connected players and their sockets, by player ID
+        this.players = new Map();
+        this.sockets = new Map();
+
+        this.projectiles = new Map();
+        this.nextProjectileId = 1;
+        this.positionHistory = []; // [{ time, positions: Map(id -> { x, z }) }], oldest first
+
+        // Loot lying on the ground, by pickup ID. Spawned when a match starts
+        this.pickups = new Map();
+        this.nextPickupId = 1;
+
+        this.currentTick = 0;
+        this.nextNetId = 0;
+
+        this.matchState = MATCH_STATES.WAITING;
+        this.matchStateEndsAt = null; // When the countdown or post-game timer runs out
+        this.gameStartTime = null;
+        this.zonePhases = DEFAULT_ZONE_PHASES; // Safe zone schedule for the next match, adjustable by admins
+        this.nextZoneDamageTime = null;
+        this.nextScoreboardTime = 0;
+        this.departedResults = []; // Results of players who left during the current match
+
+        // Server-side map layout. id changes every time a new map is loaded
+        this.mapData = null;
+        this.nextMap = null; // { seed } or { name } an admin picked for the next map
+        this.mapsPlayed = 0; // Position in the map rotation
+        this.mapUsed = false; // Whether a match was played on the loaded map
+
+        this.loadNextMap();
+        this.resetZone();
+    }
+
+    log(message) {
+        console.log(`[room ${this.id}] ${message}`);
+    }
+
+    isFull() {
+        return this.players.size >= MAX_PLAYERS;
+    }
+
+    isEmpty() {
+        return this.players.size === 0;
+    }
+
+    // New players can join straight into play rather than spectating
+    isJoinable() {
+        return this.matchState === MATCH_STATES.WAITING || this.matchState === MATCH_STATES.COUNTDOWN;
+    }
+
+    // Load this room's next map: the one an admin picked, one generated from
+    // MAP_SEED, or the next entry in the map rotation
+    loadNextMap() {
+        let choice = this.nextMap;
+        this.nextMap = null;
+        if (!choice && MAP_SEED !== null) {
+            choice = { seed: MAP_SEED };
+        }
+        if (!choice) {
+            const entry = this.mapRotation.entry(this.mapsPlayed++);
+            choice = entry === RANDOM_MAP ? { seed: randomSeed() } : { name: entry };
+        }
+
+        // Generated maps are sent to clients as their seed, map files in full
+        const seed = choice.name ? null : choice.seed;
+        const map = choice.name ? this.mapRotation.get(choice.name) : generateMap(seed);
+        this.mapData = Object.assign({ id: ++nextMapId, seed: seed, map: seed === null ? map : null }, toLayout(map));
+
+        this.log(`Loaded map ${map.name} with ${this.mapData.buildings.length} buildings and ${this.mapData.cover.length} cover objects`);
+    }
+
+    // Pick the room's next map, { seed } or { name }, loaded when the next match starts
+    setNextMap(choice) {
+        this.nextMap = choice;
+        this.log(`Next map will be ${choice.name || `generated from seed ${choice.seed}`}`);
+    }
+
+    // Add a player who completed the hello handshake with a validated name
+    addPlayer(socket, hello, name) {
+        // Players joining mid-match spectate until the next round
+        const lateJoiner = this.matchState === MATCH_STATES.IN_PROGRESS;
+
+        // Assign unique ID to player
+        const playerId = uuid();
+
+        // Create player object with initial state
+        const player = {
+            id: playerId,
+            netId: this.allocateNetId(),
+            name: name,
+            position: this.findSpawnPosition(),
+            rotation: 0,
+            health: MAX_HEALTH,
+            armour: 0, // Soaks up part of weapon damage, see src/shared/consumables.js
+            weapon: STARTING_WEAPON, // Weapon in hand, always the inventory's held weapon
+            inventory: new Inventory(), // Carried weapons, consumables and ammo
+            reload: null, // { weapon, endsAt } while reloading
+            itemUse: null, // { slot, item, endsAt, position } while using a consumable
+            isAlive: !lateJoiner,
+            isSpectator: lateJoiner,
+            kills: 0, // Match stats, reset when a match starts
+            damageDealt: 0,
+            placement: null, // Finishing position once eliminated or the match is won
+            inMatch: false, // Played the current match from the start, so it counts for their stats
+            lastAttackTime: 0,
+            lastInputTime: Date.now(),
+            inputBudget: 0,
+            lastProcessedInput: 0,
+            inputQueue: [],
+            resumeToken: crypto.randomBytes(16).toString('hex'), // Secret that lets this client reclaim the slot
+            disconnectedAt: null // Set while the slot is held for a reconnect
+        };
+        this.players.set(playerId, player);
+
+        this.attachSocket(socket, player);
+        this.sendWelcome(socket, player, hello, false);
+
+        // Broadcast new player to everyone else
+        this.broadcast({
+            type: 'playerJoined',
+            id: playerId,
+            netId: player.netId,
+            name: player.name,
+            position: player.position,
+            rotation: player.rotation,
+            health: player.health,
+            weapon: player.weapon,
+            isAlive: player.isAlive
+        }, playerId);
+
+        // Everyone gets the new player count, the new player the match timers
+        this.broadcast(this.getMatchStateMessage());
+
+        return player;
+    }
+
+    // Check if a connected or held player in this room uses a name (ignoring case)
+    hasPlayerNamed(name) {
+        const key = nameKey(name);
+        for (const player of this.players.values()) {
+            if (nameKey(player.name) === key) return true;
+        }
+        return false;
+    }
+
+    // Find the player a resume token belongs to
+    findPlayerByResumeToken(token) {
+        for (const player of this.players.values()) {
+            if (player.resumeToken === token) return player;
+        }
+        return null;
+    }
+
+    // Give a reconnecting client its old player back, with a full state resync
+    resumePlayer(socket, player, hello) {
+        // The old connection may still look open if it dropped silently
+        const oldSocket = this.sockets.get(player.id);
+        if (oldSocket && oldSocket !== socket) {
+            oldSocket.room = null;
+            oldSocket.close(SESSION_RESUMED_ELSEWHERE, 'Session resumed on another connection');
+        }
+
+        player.disconnectedAt = null;
+
+        // The client may have restarted its input sequence, and time passed while it was away
+        player.lastProcessedInput = 0;
+        player.lastInputTime = Date.now();
+        player.inputBudget = 0;
+        player.inputQueue = [];
+
+        this.attachSocket(socket, player);
+        this.sendWelcome(socket, player, hello, true);
+        sendTo(socket, this.getMatchStateMessage());
+
+        this.log(`${player.name} resumed their session`);
+    }
+
+    // Route a player's messages and broadcasts through this socket
+    attachSocket(socket, player) {
+        socket.playerId = player.id;
+        socket.room = this;
+        this.sockets.set(player.id, socket);
+        player.address = socket.remoteAddress; // Kept for admin bans
+    }
+
+    // Send a player their identity and the full game state, then their weapons
+    // and the loot on the ground. Map data is skipped if the client already
+    // has this map (e.g. after a reconnect)
+    sendWelcome(socket, player, hello, resumed) {
+        sendTo(socket, {
+            type: 'playerConnected',
+            id: player.id,
+            netId: player.netId,
+            name: player.name,
+            resumeToken: player.resumeToken,
+            resumed: resumed,
+            roomId: this.id,
+            gameInProgress: this.matchState === MATCH_STATES.IN_PROGRESS,
+            zone: this.getNetworkZone(),
+            mapId: this.mapData.id,
+            mapData: hello.mapId === this.mapData.id ? undefined : this.getNetworkMapData(),
+            players: Array.from(this.players.values()).map(other => ({
+                id: other.id,
+                netId: other.netId,
+                name: other.name,
+                position: other.position,
+                rotation: other.rotation,
+                health: other.health,
+                weapon: other.weapon,
+                isAlive: other.isAlive
+            }))
+        });
+        sendTo(socket, this.getLoadoutMessage(player));
+        sendTo(socket, this.getPickupsMessage());
+    }
+
+    // Hold a dropped player's slot, position, health and weapon so they can resume
+    disconnectPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        player.disconnectedAt = Date.now();
+        player.inputQueue = [];
+        this.sockets.delete(playerId);
+
+        this.log(`Holding slot for ${player.name} for ${RESUME_GRACE_SECONDS}s`);
+    }
+
+    // Remove players who didn't come back within the grace period
+    expireDisconnectedPlayers(now) {
+        this.players.forEach(player => {
+            if (player.disconnectedAt !== null && now - player.disconnectedAt > RESUME_GRACE_SECONDS * 1000) {
+                this.log(`${player.name} did not reconnect`);
+                this.removePlayer(player.id);
+            }
+        });
+    }
+
+    // Remove a player from the game for good
+    removePlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        this.players.delete(playerId);
+
+        // Leaving mid-match still counts, as a loss behind everyone still standing
+        if (this.matchState === MATCH_STATES.IN_PROGRESS && player.inMatch) {
+            if (player.isAlive) {
+                player.placement = this.getAlivePlayers().length + 1;
+                this.dropItems(player.inventory.removeAll(), player.position);
+            }
+            this.departedResults.push(getMatchResult(player));
+        }
+        this.sockets.delete(playerId);
+
+        // Broadcast player left
+        this.broadcast({
+            type: 'playerLeft',
+            id: playerId
+        });
+
+        // If game is in progress, check if we have a winner
+        if (this.matchState === MATCH_STATES.IN_PROGRESS) {
+            const alivePlayers = this.getAlivePlayers();
+            if (alivePlayers.length <= 1) {
+                this.determineWinner();
+                this.endGame();
+            }
+        }
+
+        // Update the lobby player count
+        this.broadcast(this.getMatchStateMessage());
+    }
+
+    // Pick a compact numeric ID for snapshots that no player in this room is using
+    allocateNetId() {
+        const inUse = new Set(Array.from(this.players.values()).map(player => player.netId));
+        do {
+            this.nextNetId = this.nextNetId >= 65535 ? 1 : this.nextNetId + 1;
+        } while (inUse.has(this.nextNetId));
+
+        return this.nextNetId;
+    }
+
+    // Map data as sent to clients - the seed is enough for them to generate
+    // the layout, map files are sent as they are
+    getNetworkMapData() {
+        if (this.mapData.seed !== null) {
+            return { id: this.mapData.id, seed: this.mapData.seed };
+        }
+        return { id: this.mapData.id, map: this.mapData.map };
+    }
+
+    // Pick a random spawn position that isn't inside a building
+    findSpawnPosition() {
+        if (this.mapData.spawnPoints.length > 0) {
+            return this.findSpawnPoint();
+        }
+
+        let position;
+        let attempts = 0;
+        do {
+            position = new Vector3(Math.random() * 40 - 20, PLAYER_HEIGHT, Math.random() * 40 - 20);
+            attempts++;
+        } while (collidesWithWorld(position, PLAYER_SIZE, this.mapData.obstacles, this.mapData.arenaSize) && attempts < 50);
+
+        return position;
+    }
+
+    // The map's spawn point furthest from every living player
+    findSpawnPoint() {
+        const alivePlayers = this.getAlivePlayers();
+        let best = null;
+        let bestDistance = -1;
+
+        this.mapData.spawnPoints.forEach(point => {
+            const distance = alivePlayers.reduce(
+                (closest, player) => Math.min(closest, horizontalDistance(point, player.position)),
+                Infinity
+            );
+            // Random tie-break so an empty room doesn't always use the first point
+            const score = distance === Infinity ? Math.random() : distance;
+            if (score > bestDistance) {
+                best = point;
+                bestDistance = score;
+            }
+        });
+
+        return new Vector3(best.x, PLAYER_HEIGHT, best.z);
+    }
+
+    // Queue a movement input to be applied on the next tick
+    queuePlayerInput(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player || !player.isAlive) return;
+
+        player.inputQueue.push({ data: data, receivedAt: Date.now() });
+
+        // Drop the oldest inputs if a client floods us
+        if (player.inputQueue.length > MAX_QUEUED_INPUTS) {
+            player.inputQueue.splice(0, player.inputQueue.length - MAX_QUEUED_INPUTS);
+        }
+    }
+
+    // Apply all queued movement inputs for a player
+    processPlayerInputs(player) {
+        if (player.inputQueue.length === 0) return;
+
+        const inputs = player.inputQueue;
+        player.inputQueue = [];
+
+        inputs.forEach(input => this.applyPlayerInput(player, input.data, input.receivedAt));
+    }
+
+    // Step a player by one client input. The client predicts the same step and
+    // reconciles against the position and lastInput we send back in snapshots.
+    applyPlayerInput(player, data, receivedAt) {
+        // Only alive players can move
+        if (!player.isAlive) return;
+
+        // Ignore malformed or already processed inputs
+        if (!Number.isInteger(data.seq) || data.seq <= player.lastProcessedInput) return;
+        if (!Number.isFinite(data.dt) || data.dt <= 0 || !Number.isFinite(data.rotation)) return;
+
+        // Inputs can't cover more time than has really passed, which stops speed hacks
+        player.inputBudget = Math.min(
+            player.inputBudget + (receivedAt - player.lastInputTime) * INPUT_TIME_TOLERANCE,
+            MAX_INPUT_BUDGET_MS
+        );
+        player.lastInputTime = receivedAt;
+
+        const dt = Math.min(data.dt, MAX_INPUT_DT, player.inputBudget);
+        player.inputBudget -= dt;
+
+        applyMovementInput(player.position, {
+            up: data.up === true,
+            down: data.down === true,
+            left: data.left === true,
+            right: data.right === true,
+            dt: dt
+        }, this.mapData.obstacles, this.mapData.arenaSize);
+
+        player.position.y = PLAYER_HEIGHT;
+        player.rotation = data.rotation;
+        player.lastProcessedInput = data.seq;
+    }
+
+    // Run one fixed simulation step and broadcast the resulting world state
+    tick(now) {
+        this.currentTick++;
+
+        this.expireDisconnectedPlayers(now);
+
+        // Apply queued player movement
+        this.players.forEach(player => this.processPlayerInputs(player));
+        this.recordPositionHistory(now);
+
+        // Step reloads, item uses, projectiles, the safe zone and the match lifecycle
+        this.players.forEach(player => {
+            this.updateReload(player, now);
+            this.updateItemUse(player, now);
+        });
+        this.updateProjectiles();
+        this.updateZone(now);
+        this.updateMatchState(now);
+
+        if (now >= this.nextScoreboardTime) {
+            this.nextScoreboardTime = now + SCOREBOARD_INTERVAL_MS;
+            this.broadcastScoreboard();
+        }
+
+        // Send everyone the same view of the world
+        this.broadcastSnapshot(now);
+    }
+
+    // Send every client the world state for the current tick
+    broadcastSnapshot(now) {
+        const state = this.buildSnapshotState();
+
+        this.sockets.forEach(socket => {
+            this.sendSnapshot(socket, state, now);
+        });
+    }
+
+    // Quantised network state of every player this tick, keyed by netId
+    buildSnapshotState() {
+        const state = new Map();
+        this.players.forEach(player => {
+            state.set(player.netId, {
+                position: quantizePosition(player.position),
+                rotation: quantizeAngle(player.rotation),
+                health: Math.round(player.health),
+                weapon: player.weapon,
+                isAlive: player.isAlive
+            });
+        });
+        return state;
+    }
+
+    // Send a snapshot containing only what changed since the client's last acknowledged one
+    sendSnapshot(socket, state, now) {
+        const currentTick = this.currentTick;
+        const baseline = socket.ackedTick ? socket.snapshotHistory.get(socket.ackedTick) : null;
+
+        const entries = [];
+        state.forEach((current, netId) => {
+            const previous = baseline ? baseline.get(netId) : null;
+            const entry = { netId: netId };
+            let changed = !previous;
+
+            if (!previous || previous.position.x !== current.position.x ||
+                previous.position.y !== current.position.y || previous.position.z !== current.position.z) {
+                entry.position = current.position;
+                changed = true;
+            }
+            ['rotation', 'health', 'weapon', 'isAlive'].forEach(field => {
+                if (!previous || previous[field] !== current[field]) {
+                    entry[field] = current[field];
+                    changed = true;
+                }
+            });
+
+            if (changed) entries.push(entry);
+        });
+
+        const removed = [];
+        if (baseline) {
+            baseline.forEach((previous, netId) => {
+                if (!state.has(netId)) removed.push(netId);
+            });
+        }
+
+        // Remember what we sent so a later ack can make it the baseline
+        socket.snapshotHistory.set(currentTick, state);
+        socket.snapshotHistory.delete(currentTick - SNAPSHOT_HISTORY_TICKS);
+
+        const player = this.players.get(socket.playerId);
+        sendTo(socket, {
+            type: 'snapshot',
+            tick: currentTick,
+            time: now,
+            baseTick: baseline ? socket.ackedTick : 0,
+            lastInput: player ? player.lastProcessedInput : 0, // Lets the client reconcile its prediction
+            players: entries,
+            removed: removed
+        });
+
+        // Baselines that have dropped out of history can't be used any more
+        if (socket.ackedTick <= currentTick - SNAPSHOT_HISTORY_TICKS) {
+            socket.ackedTick = 0;
+        }
+    }
+
+    // Switch match state and tell every client
+    setMatchState(state, durationSeconds = null) {
+        this.matchState = state;
+        this.matchStateEndsAt = durationSeconds ? Date.now() + durationSeconds * 1000 : null;
+
+        this.log(`Match state: ${state}`);
+        this.broadcast(this.getMatchStateMessage());
+    }
+
+    // Current match state with the time left on its timer, for the HUD
+    getMatchStateMessage() {
+        return {
+            type: 'matchState',
+            state: this.matchState,
+            timeRemaining: this.matchStateEndsAt ? Math.max(0, this.matchStateEndsAt - Date.now()) : null,
+            playerCount: this.players.size,
+            minPlayers: MIN_PLAYERS
+        };
+    }
+
+    // Advance the match lifecycle timers
+    updateMatchState(now) {
+        switch (this.matchState) {
+            case MATCH_STATES.WAITING:
+                // Enough players - start counting down
+                if (this.players.size >= MIN_PLAYERS) {
+                    this.setMatchState(MATCH_STATES.COUNTDOWN, COUNTDOWN_SECONDS);
+                }
+                break;
+
+            case MATCH_STATES.COUNTDOWN:
+                if (this.players.size < MIN_PLAYERS) {
+                    // Someone left - go back to waiting
+                    this.setMatchState(MATCH_STATES.WAITING);
+                } else if (now >= this.matchStateEndsAt) {
+                    this.startGame();
+                }
+                break;
+
+            case MATCH_STATES.POST_GAME:
+                if (now >= this.matchStateEndsAt) {
+                    this.resetMatch();
+                }
+                break;
+        }
+    }
+
+    // Handle a client's respawn request
+    handleRespawnRequest(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        // Only allow respawn between matches
+        if (this.matchState !== MATCH_STATES.IN_PROGRESS) {
+            this.respawnPlayer(player);
+        } else {
+            // Reject respawn - game in progress
+            this.sendToPlayer(playerId, {
+                type: 'respawnRejected',
+                reason: 'Cannot respawn during active game round'
+            });
+        }
+    }
+
+    // Bring a player back to life at a fresh spawn point
+    respawnPlayer(player) {
+        player.isAlive = true;
+        player.isSpectator = false;
+        player.health = MAX_HEALTH;
+        player.armour = 0;
+        player.position = this.findSpawnPosition();
+        player.inventory.reset();
+        player.weapon = player.inventory.heldWeapon;
+        player.reload = null;
+        player.itemUse = null;
+        player.lastInputTime = Date.now();
+        player.inputBudget = 0;
+        player.inputQueue = [];
+
+        // Send successful respawn confirmation
+        this.sendToPlayer(player.id, {
+            type: 'respawnAccepted',
+            position: player.position
+        });
+        this.sendToPlayer(player.id, this.getLoadoutMessage(player));
+
+        // Broadcast player respawn to others
+        this.broadcast({
+            type: 'playerRespawned',
+            id: player.id,
+            netId: player.netId,
+            name: player.name,
+            position: player.position,
+            rotation: player.rotation,
+            health: player.health,
+            weapon: player.weapon
+        }, player.id);
+    }
+
+    // Start battle royale game
+    startGame() {
+        this.gameStartTime = Date.now();
+        this.projectiles.clear();
+        this.positionHistory.length = 0;
+
+        // Players waited in the lobby on the map this match is played on. A
+        // new one is only loaded when that map was already played, or an
+        // admin picked another. Then plan the safe zone
+        if (this.mapUsed || this.nextMap) {
+            this.loadNextMap();
+        }
+        this.mapUsed = true;
+        this.zone = Object.assign(
+            planZone(this.mapData.arenaSize, this.zonePhases, this.mapData.zoneEndCircles),
+            { startedAt: this.gameStartTime }
+        );
+        this.nextZoneDamageTime = this.gameStartTime + ZONE_DAMAGE_INTERVAL_MS;
+
+        // Fresh stats for everyone
+        this.departedResults = [];
+        this.players.forEach(player => {
+            player.kills = 0;
+            player.damageDealt = 0;
+            player.placement = null;
+            player.inMatch = true;
+        });
+
+        this.log('Battle Royale game started!');
+
+        // Broadcast game start and map data to all players
+        this.broadcast({
+            type: 'gameStarted',
+            startTime: this.gameStartTime,
+            mapData: this.getNetworkMapData()
+        });
+        this.broadcast(this.getZoneMessage());
+
+        // Everyone starts the match alive at a spawn point on the new map
+        this.players.forEach(player => this.respawnPlayer(player));
+        this.spawnLoot();
+
+        this.setMatchState(MATCH_STATES.IN_PROGRESS);
+    }
+
+    // End current game
+    endGame() {
+        this.recordMatchResults();
+
+        this.gameStartTime = null;
+        this.resetZone();
+        this.broadcast(this.getZoneMessage());
+
+        this.log('Battle Royale game ended');
+
+        // Broadcast game end to all players
+        this.broadcast({
+            type: 'gameEnded'
+        });
+
+        // Show results for a while before resetting
+        this.setMatchState(MATCH_STATES.POST_GAME, POST_GAME_SECONDS);
+    }
+
+    // Save everyone's result from the match that just ended
+    recordMatchResults() {
+        const results = this.departedResults;
+        this.departedResults = [];
+
+        this.players.forEach(player => {
+            if (!player.inMatch) return;
+            player.inMatch = false;
+            results.push(getMatchResult(player));
+        });
+
+        if (results.length === 0) return;
+
+        this.statsStore.recordMatch({
+            roomId: this.id,
+            startedAt: this.gameStartTime,
+            endedAt: Date.now(),
+            players: results
+        }).catch(error => {
+            console.error(`[room ${this.id}] Could not record match results:`, error);
+        });
+    }
+
+    // Reset every player, including eliminated players and spectators, for the next round
+    resetMatch() {
+        this.projectiles.clear();
+        this.pickups.clear();
+        this.broadcast(this.getPickupsMessage());
+        this.players.forEach(player => this.respawnPlayer(player));
+
+        this.setMatchState(MATCH_STATES.WAITING);
+    }
+
+    // Back to a zone covering the whole arena that never shrinks, for between matches
+    resetZone() {
+        this.zone = Object.assign(planZone(this.mapData.arenaSize, []), { startedAt: Date.now() });
+        this.nextZoneDamageTime = null;
+    }
+
+    // The zone plan as clients get it. They work out the circle at any moment from it
+    getNetworkZone() {
+        return {
+            circles: this.zone.circles,
+            phases: this.zone.phases,
+            elapsed: Date.now() - this.zone.startedAt
+        };
+    }
+
+    getZoneMessage() {
+        return Object.assign({ type: 'zone' }, this.getNetworkZone());
+    }
+
+    // Hurt everyone outside the safe zone, once every ZONE_DAMAGE_INTERVAL_MS.
+    // The circle itself moves on its own, following the plan
+    updateZone(now) {
+        if (this.matchState !== MATCH_STATES.IN_PROGRESS || this.nextZoneDamageTime === null || now < this.nextZoneDamageTime) {
+            return;
+        }
+        this.nextZoneDamageTime += ZONE_DAMAGE_INTERVAL_MS;
+
+        const state = getZoneState(this.zone, now - this.zone.startedAt);
+        const damage = state.damagePerSecond * ZONE_DAMAGE_INTERVAL_MS / 1000;
+        if (damage > 0) {
+            this.players.forEach((player, id) => {
+                if (!player.isAlive || !isOutsideZone(player.position, state.circle)) return;
+
+                this.applyDamage(id, damage, 'zone', null);
+
+                // Inform player they're taking damage from the zone
+                this.sendToPlayer(id, {
+                    type: 'zoneDamage',
+                    damage: damage
+                });
+            });
+        }
+
+        // End the game if only one player is left
+        if (this.matchState === MATCH_STATES.IN_PROGRESS && this.getAlivePlayers().length <= 1) {
+            this.determineWinner();
+            this.endGame();
+        }
+    }
+
+    // Start the match now, skipping the countdown and the player minimum.
+    // Returns the reason it can't start, or null
+    forceStart() {
+        if (!this.isJoinable()) return 'A match is already running';
+        if (this.players.size < 2) return 'At least 2 players are needed';
+
+        this.log('Match force-started by admin');
+        this.startGame();
+        return null;
+    }
+
+    // End the running match, with a winner if only one player is still standing.
+    // Returns the reason it can't end, or null
+    forceEnd() {
+        if (this.matchState !== MATCH_STATES.IN_PROGRESS) return 'No match is running';
+
+        this.log('Match ended by admin');
+        this.determineWinner();
+        this.endGame();
+        return null;
+    }
+
+    // Change the safe zone's phase schedule (already validated). A running
+    // match keeps the zone it was planned with; the next one uses this
+    setZonePhases(phases) {
+        this.zonePhases = phases;
+        this.log(`Zone now has ${phases.length} phases from the next match`);
+    }
+
+    // Disconnect a player for good, without holding their slot
+    kickPlayer(playerId, code, message) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        const socket = this.sockets.get(playerId);
+        if (socket) {
+            sendTo(socket, { type: 'error', code: code, message: message });
+            socket.room = null;
+            socket.close(1008, 'Removed by admin');
+        }
+
+        this.log(`${player.name} was removed: ${message}`);
+        this.removePlayer(playerId);
+    }
+
+    // Where the zone is: phase number (1-based, phases + 1 once finished), radius and time to the next change
+    getAdminZoneInfo() {
+        const state = getZoneState(this.zone, Date.now() - this.zone.startedAt);
+        return {
+            phase: state.phase + 1,
+            phaseCount: this.zone.phases.length,
+            shrinking: state.shrinking,
+            radius: state.circle.radius,
+            timeRemaining: state.timeRemaining
+        };
+    }
+
+    // Room and player details for the admin API
+    getAdminInfo() {
+        return {
+            id: this.id,
+            matchState: this.matchState,
+            timeRemaining: this.matchStateEndsAt ? Math.max(0, this.matchStateEndsAt - Date.now()) : null,
+            tick: this.currentTick,
+            mapId: this.mapData.id,
+            mapName: this.mapData.name,
+            mapSeed: this.mapData.seed,
+            nextMap: this.nextMap,
+            zone: this.getAdminZoneInfo(),
+            zonePhases: this.zonePhases,
+            players: Array.from(this.players.values()).map(player => {
+                const socket = this.sockets.get(player.id);
+                return {
+                    id: player.id,
+                    name: player.name,
+                    position: player.position,
+                    health: player.health,
+                    weapon: player.weapon,
+                    isAlive: player.isAlive,
+                    isSpectator: player.isSpectator,
+                    kills: player.kills,
+                    connected: !!socket,
+                    address: player.address,
+                    invalidMessages: socket ? socket.invalidMessages : 0,
+                    rateLimitHits: socket ? socket.rateLimiter.totalHits() : 0,
+                    ping: socket && socket.latency !== undefined ? socket.latency : null
+                };
+            })
+        };
+    }
+
+    // Handle player attack
+    handleAttack(attackerId, data) {
+        const attacker = this.players.get(attackerId);
+        if (!attacker || !attacker.isAlive) return;
+
+        const weapon = getWeapon(attacker.weapon);
+        if (!weapon) return;
+
+        // Ranged weapons need a loaded round and can't fire mid-reload
+        const ammo = attacker.inventory.ammo[attacker.weapon];
+        if (usesAmmo(weapon) && (attacker.reload || ammo.magazine === 0)) return;
+
+        // Attack from where the attacker's already-sent inputs put them
+        this.processPlayerInputs(attacker);
+
+        // Enforce weapon cooldown on the server
+        const now = Date.now();
+        if (now - attacker.lastAttackTime < weapon.cooldown) return;
+        attacker.lastAttackTime = now;
+
+        // Rewind targets to what the attacker was looking at
+        const viewTime = getRewindTime(data.viewTime, now);
+
+        if (weapon.projectile) {
+            // Ignore projectile attacks with a melee weapon or bad vectors
+            if (!data.projectile || !isValidVector(data.origin) || !isValidVector(data.direction)) return;
+
+            // Projectiles must leave from near the shooter
+            const dx = data.origin.x - attacker.position.x;
+            const dz = data.origin.z - attacker.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) > MAX_MUZZLE_DISTANCE) return;
+
+            // The client's direction is only a hint: it must point roughly where
+            // the attacker faces. The shot itself follows the server's rotation
+            // plus a spread roll of its own, so clients can't fire perfectly straight
+            if (data.direction.x === 0 && data.direction.z === 0) return;
+            const hintAngle = Math.atan2(data.direction.x, data.direction.z);
+            if (angleBetween(hintAngle, attacker.rotation) > weapon.spread + AIM_TOLERANCE) return;
+
+            const angle = attacker.rotation + (Math.random() * 2 - 1) * weapon.spread;
+
+            const projectile = {
+                id: this.nextProjectileId++,
+                ownerId: attackerId,
+                weapon: attacker.weapon,
+                origin: new Vector3(data.origin.x, data.origin.y, data.origin.z),
+                position: new Vector3(data.origin.x, data.origin.y, data.origin.z),
+                direction: new Vector3(Math.sin(angle), 0, Math.cos(angle)),
+                firedAt: now,
+                lastUpdate: now,
+                distanceTraveled: 0,
+                rewind: now - viewTime // Targets are checked this far in the past
+            };
+            this.projectiles.set(projectile.id, projectile);
+
+            ammo.magazine--;
+            this.sendToPlayer(attackerId, this.getLoadoutMessage(attacker));
+
+            // Let every client render the projectile
+            this.broadcast({
+                type: 'projectileFired',
+                id: attackerId,
+                projectileId: projectile.id,
+                origin: projectile.origin,
+                direction: projectile.direction,
+                weapon: projectile.weapon
+            });
+        } else {
+            // Melee attack - resolve the swing cone on the server
+            if (data.projectile || !isValidVector(data.direction)) return;
+
+            const length = Math.sqrt(data.direction.x * data.direction.x + data.direction.z * data.direction.z);
+            if (length === 0) return;
+            const dirX = data.direction.x / length;
+            const dirZ = data.direction.z / length;
+
+            this.players.forEach((target, targetId) => {
+                if (targetId === attackerId || !target.isAlive) return;
+
+                // Where the attacker saw the target when swinging
+                const targetPosition = this.getLagCompensatedPosition(target, viewTime);
+                const dx = targetPosition.x - attacker.position.x;
+                const dz = targetPosition.z - attacker.position.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+
+                // Target must be within weapon range
+                if (distance > weapon.range + PLAYER_RADIUS) return;
+
+                // Check if target is in front of the attacker using dot product
+                if (distance > 0 && (dx * dirX + dz * dirZ) / distance < MELEE_CONE_DOT) return;
+
+                // Apply damage to target
+                this.applyDamage(targetId, getDamageAtDistance(weapon, distance), attackerId, attacker.weapon);
+            });
+        }
+    }
+
+    // Handle weapon switch - only to a weapon in the player's inventory
+    handleWeaponSwitch(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player || !player.isAlive || data.weapon === player.weapon) return;
+
+        if (player.inventory.selectWeapon(data.weapon)) {
+            this.updateHeldWeapon(player);
+        }
+    }
+
+    // Catch up with a change to the inventory's held weapon. Putting a weapon
+    // away stops its reload
+    updateHeldWeapon(player) {
+        player.weapon = player.inventory.heldWeapon;
+        if (player.reload && player.reload.weapon !== player.weapon) {
+            player.reload = null;
+            this.sendToPlayer(player.id, this.getLoadoutMessage(player));
+        }
+    }
+
+    // Start reloading the held weapon, if it isn't full and there are rounds to load
+    handleReload(playerId) {
+        const player = this.players.get(playerId);
+        if (!player || !player.isAlive || player.reload) return;
+
+        const weapon = getWeapon(player.weapon);
+        const ammo = player.inventory.ammo[player.weapon];
+        if (!usesAmmo(weapon) || ammo.magazine >= weapon.magazineSize || ammo.reserve === 0) return;
+
+        player.reload = { weapon: player.weapon, endsAt: Date.now() + weapon.reloadTime };
+        this.sendToPlayer(playerId, this.getLoadoutMessage(player));
+    }
+
+    handleCancelReload(playerId) {
+        const player = this.players.get(playerId);
+        if (!player || !player.reload) return;
+
+        player.reload = null;
+        this.sendToPlayer(playerId, this.getLoadoutMessage(player));
+    }
+
+    // Move rounds from the reserve into the magazine once a reload has taken its time
+    updateReload(player, now) {
+        if (!player.reload || now < player.reload.endsAt) return;
+
+        const weapon = getWeapon(player.reload.weapon);
+        const ammo = player.inventory.ammo[player.reload.weapon];
+        const rounds = Math.min(weapon.magazineSize - ammo.magazine, ammo.reserve);
+        ammo.magazine += rounds;
+        ammo.reserve -= rounds;
+        player.reload = null;
+
+        this.sendToPlayer(player.id, this.getLoadoutMessage(player));
+    }
+
+    // Start using the consumable in one of a player's slots. It takes effect
+    // once they've stood still for its use time, see updateItemUse
+    handleUseItem(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player || !player.isAlive || player.itemUse) return;
+
+        const entry = player.inventory.slots[data.slot];
+        if (!entry || entry.kind !== PICKUP_KINDS.CONSUMABLE) return;
+
+        const consumable = CONSUMABLES[entry.item];
+        const error = getUseError(consumable, player.health, player.armour);
+        if (error) {
+            this.sendToPlayer(playerId, { type: 'error', code: 'useFailed', message: error });
+            return;
+        }
+
+        player.itemUse = {
+            slot: data.slot,
+            item: entry.item,
+            endsAt: Date.now() + consumable.useTime,
+            position: { x: player.position.x, z: player.position.z }
+        };
+        this.sendToPlayer(playerId, this.getLoadoutMessage(player));
+    }
+
+    // Stop an item use before it takes effect. The item isn't used up
+    interruptItemUse(player) {
+        if (!player.itemUse) return;
+
+        player.itemUse = null;
+        this.sendToPlayer(player.id, this.getLoadoutMessage(player));
+    }
+
+    // Apply a consumable once its use time is up, or interrupt it if the player moved
+    updateItemUse(player, now) {
+        const use = player.itemUse;
+        if (!use) return;
+
+        const dx = player.position.x - use.position.x;
+        const dz = player.position.z - use.position.z;
+        if (dx * dx + dz * dz > USE_MOVE_TOLERANCE * USE_MOVE_TOLERANCE) {
+            this.interruptItemUse(player);
+            return;
+        }
+        if (now < use.endsAt) return;
+
+        const consumable = CONSUMABLES[use.item];
+        if (consumable.heal > 0) {
+            player.health = Math.max(player.health, Math.min(consumable.healLimit, player.health + consumable.heal));
+        }
+        player.armour = Math.min(MAX_ARMOUR, player.armour + consumable.armour);
+        player.inventory.consume(use.slot);
+        player.itemUse = null;
+
+        this.broadcast({
+            type: 'playerHealed',
+            id: player.id,
+            health: player.health,
+            armour: player.armour
+        });
+        this.sendToPlayer(player.id, this.getLoadoutMessage(player));
+    }
+
+    // Scatter fresh loot over the map's loot spots and show it to everyone
+    spawnLoot() {
+        this.pickups.clear();
+        this.mapData.lootSpots.forEach(spot => {
+            const loot = rollLoot();
+            if (!loot) return;
+
+            const pickup = this.createPickup(loot, spot);
+            this.pickups.set(pickup.id, pickup);
+        });
+
+        this.log(`Spawned ${this.pickups.size} pickups`);
+        this.broadcast(this.getPickupsMessage());
+    }
+
+    // Take a pickup for a player, if it's still there and they're standing next to it
+    handlePickUp(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player || !player.isAlive) return;
+
+        const pickup = this.pickups.get(data.pickupId);
+        if (!pickup) {
+            this.sendPickupError(playerId, 'Someone else got there first');
+            return;
+        }
+
+        // Check range from where the player's already-sent inputs put them
+        this.processPlayerInputs(player);
+        if (horizontalDistance(player.position, pickup.position) > PICKUP_RANGE + PICKUP_RANGE_TOLERANCE) {
+            this.sendPickupError(playerId, 'Too far away to pick that up');
+            return;
+        }
+
+        // A new weapon is held straight away, swapping out a full slot's weapon if needed
+        const result = player.inventory.add(pickup);
+        if (result.error) {
+            this.sendPickupError(playerId, result.error);
+            return;
+        }
+
+        this.pickups.delete(pickup.id);
+        this.broadcast({ type: 'pickupTaken', pickupId: pickup.id, id: playerId });
+        this.dropItems(result.dropped, player.position);
+
+        this.updateHeldWeapon(player);
+        this.sendToPlayer(playerId, this.getLoadoutMessage(player));
+    }
+
+    // Drop everything in one of a player's slots at their feet
+    handleDropItem(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player || !player.isAlive) return;
+
+        const item = player.inventory.remove(data.slot);
+        if (!item) return;
+
+        // Can't keep using what's no longer in hand
+        if (player.itemUse && player.itemUse.slot === data.slot) {
+            player.itemUse = null;
+        }
+
+        this.dropItems([item], player.position);
+        this.updateHeldWeapon(player);
+        this.sendToPlayer(playerId, this.getLoadoutMessage(player));
+    }
+
+    // Put items on the ground around a position for anyone to pick up. Several
+    // items are spread in a circle so each can be reached on its own
+    dropItems(items, position) {
+        if (items.length === 0) return;
+
+        const halfArena = this.mapData.arenaSize / 2;
+        const dropped = items.map((item, index) => {
+            const angle = (index / items.length) * Math.PI * 2;
+            const radius = items.length > 1 ? DROP_SPREAD : 0;
+            return this.createPickup(item, {
+                x: Math.max(-halfArena, Math.min(halfArena, position.x + Math.cos(angle) * radius)),
+                z: Math.max(-halfArena, Math.min(halfArena, position.z + Math.sin(angle) * radius))
+            });
+        });
+
+        dropped.forEach(pickup => this.pickups.set(pickup.id, pickup));
+        this.broadcast({ type: 'pickupDropped', pickups: dropped });
+    }
+
+    // A pickup for an item ({ kind, item, amount }) lying at a ground position
+    createPickup(item, position) {
+        return {
+            id: this.nextPickupId++,
+            kind: item.kind,
+            item: item.item,
+            amount: item.amount,
+            position: { x: position.x, y: 0, z: position.z }
+        };
+    }
+
+    sendPickupError(playerId, message) {
+        this.sendToPlayer(playerId, { type: 'error', code: 'pickupFailed', message: message });
+    }
+
+    // A player's inventory, armour, reload and item use, for their own client
+    getLoadoutMessage(player) {
+        const now = Date.now();
+        return Object.assign({ type: 'loadout' }, player.inventory.toNetwork(), {
+            armour: player.armour,
+            reloadTimeRemaining: player.reload ? Math.max(0, player.reload.endsAt - now) : null,
+            usingSlot: player.itemUse ? player.itemUse.slot : null,
+            useTimeRemaining: player.itemUse ? Math.max(0, player.itemUse.endsAt - now) : null
+        });
+    }
+
+    // Every pickup on the ground
+    getPickupsMessage() {
+        return {
+            type: 'pickups',
+            pickups: Array.from(this.pickups.values())
+        };
+    }
+
+    // Handle projectile hit reported by a client. The report only makes the
+    // server run its projectile simulation now instead of at the next tick;
+    // damage comes from that simulation's own collision test or not at all
+    handleProjectileHit(attackerId, data) {
+        const attacker = this.players.get(attackerId);
+        if (!attacker || !this.players.has(data.targetId)) return;
+
+        this.updateProjectiles();
+    }
+
+    // Advance all projectiles and check them against obstacles and players
+    updateProjectiles() {
+        const now = Date.now();
+        const projectiles = this.projectiles;
+
+        projectiles.forEach(projectile => {
+            const weapon = getWeapon(projectile.weapon);
+            let remaining = weapon.projectileSpeed * (now - projectile.lastUpdate) / 1000;
+            projectile.lastUpdate = now;
+
+            // Move in small steps so fast projectiles can't skip through walls or players
+            while (remaining > 0 && projectiles.has(projectile.id)) {
+                const step = Math.min(PROJECTILE_STEP, remaining);
+                remaining -= step;
+
+                projectile.position.x += projectile.direction.x * step;
+                projectile.position.z += projectile.direction.z * step;
+                projectile.distanceTraveled += step;
+
+                // Out of range
+                if (projectile.distanceTraveled > weapon.range) {
+                    projectiles.delete(projectile.id);
+                    break;
+                }
+
+                // Hit a building or left the arena
+                if (this.isProjectileBlocked(projectile.position)) {
+                    projectiles.delete(projectile.id);
+                    break;
+                }
+
+                // Hit a player, as the shooter saw them
+                for (const [id, player] of this.players) {
+                    if (id === projectile.ownerId || !player.isAlive) continue;
+
+                    const targetPosition = this.getLagCompensatedPosition(player, now - projectile.rewind);
+                    if (horizontalDistance(projectile.position, targetPosition) < PROJECTILE_RADIUS + PLAYER_RADIUS) {
+                        this.resolveProjectileHit(projectile, id);
+                        break;
+                    }
+                }
+            }
+        });
+    }
+
+    // Apply a projectile's weapon damage to a target and remove the projectile
+    resolveProjectileHit(projectile, targetId) {
+        this.projectiles.delete(projectile.id);
+
+        const target = this.players.get(targetId);
+        if (!target || !target.isAlive) return;
+
+        const damage = getDamageAtDistance(getWeapon(projectile.weapon), projectile.distanceTraveled);
+        this.applyDamage(targetId, damage, projectile.ownerId, projectile.weapon);
+    }
+
+    // Check if a projectile position is inside a building or outside the arena
+    isProjectileBlocked(position) {
+        const halfArena = this.mapData.arenaSize / 2;
+        if (Math.abs(position.x) > halfArena || Math.abs(position.z) > halfArena) {
+            return true;
+        }
+
+        return this.mapData.obstacles.some(obstacle => (
+            position.x + PROJECTILE_RADIUS > obstacle.position.x - obstacle.size.x / 2 &&
+            position.x - PROJECTILE_RADIUS < obstacle.position.x + obstacle.size.x / 2 &&
+            position.z + PROJECTILE_RADIUS > obstacle.position.z - obstacle.size.z / 2 &&
+            position.z - PROJECTILE_RADIUS < obstacle.position.z + obstacle.size.z / 2
+        ));
+    }
+
+    // Remember where every player was this tick
+    recordPositionHistory(now) {
+        const positions = new Map();
+        this.players.forEach((player, id) => {
+            positions.set(id, { x: player.position.x, z: player.position.z });
+        });
+        this.positionHistory.push({ time: now, positions: positions });
+
+        // Forget history we can no longer rewind to
+        while (this.positionHistory.length > 0 && this.positionHistory[0].time < now - POSITION_HISTORY_MS) {
+            this.positionHistory.shift();
+        }
+    }
+
+    // Where a player was at the given time, interpolated between recorded ticks
+    getLagCompensatedPosition(player, time) {
+        const positionHistory = this.positionHistory;
+        const current = { x: player.position.x, z: player.position.z };
+
+        for (let i = positionHistory.length - 1; i >= 0; i--) {
+            const older = positionHistory[i];
+            if (older.time > time) continue;
+
+            const from = older.positions.get(player.id);
+            if (!from) return current;
+
+            // Blend towards the next tick (or the current position)
+            const newer = positionHistory[i + 1];
+            const to = newer ? newer.positions.get(player.id) : current;
+            const newerTime = newer ? newer.time : Date.now();
+            if (!to || newerTime === older.time) return from;
+
+            const t = Math.min(1, (time - older.time) / (newerTime - older.time));
+            return {
+                x: from.x + (to.x - from.x) * t,
+                z: from.z + (to.z - from.z) * t
+            };
+        }
+
+        // Older than our history - use the oldest record we have
+        const oldest = positionHistory[0];
+        return (oldest && oldest.positions.get(player.id)) || current;
+    }
+
+    // Apply damage to a player. weaponIndex is null for zone damage
+    applyDamage(playerId, amount, sourceId, weaponIndex) {
+        if (!this.players.has(playerId)) return;
+
+        const player = this.players.get(playerId);
+
+        // Armour soaks up part of every hit except the zone's
+        const loss = sourceId !== 'zone' ? absorbDamage(amount, player.armour) : { health: amount, armour: 0 };
+
+        // Credit the attacker with the armour and health actually taken off
+        const attacker = sourceId !== 'zone' ? this.players.get(sourceId) : null;
+        if (attacker && attacker !== player && player.isAlive) {
+            attacker.damageDealt += loss.armour + Math.min(loss.health, Math.max(0, player.health));
+        }
+
+        player.armour -= loss.armour;
+        player.health -= loss.health;
+
+        // Broadcast damage event
+        this.broadcast({
+            type: 'playerDamaged',
+            id: playerId,
+            health: player.health,
+            armour: player.armour,
+            source: sourceId
+        });
+
+        // Getting hurt breaks concentration
+        this.interruptItemUse(player);
+
+        // Check if player is dead
+        if (player.health <= 0 && player.isAlive) {
+            this.playerDied(playerId, sourceId, weaponIndex);
+        }
+    }
+
+    // Handle player death
+    playerDied(playerId, killerId, weaponIndex) {
+        const player = this.players.get(playerId);
+        player.isAlive = false;
+        player.reload = null;
+        player.itemUse = null;
+
+        // Everything they carried is left in a pile for others to loot
+        this.dropItems(player.inventory.removeAll(), player.position);
+        player.weapon = player.inventory.heldWeapon;
+        this.sendToPlayer(playerId, this.getLoadoutMessage(player));
+
+        // Finishing position: one behind everyone still standing
+        if (this.matchState === MATCH_STATES.IN_PROGRESS) {
+            player.placement = this.getAlivePlayers().length + 1;
+        }
+
+        const killer = killerId !== 'zone' ? this.players.get(killerId) : null;
+        this.log(`${player.name} was eliminated by ${killer ? killer.name : killerId}`);
+
+        // If killer is a player, increment their score
+        if (killer) {
+            killer.kills += 1;
+
+            // Broadcast score update
+            this.broadcast({
+                type: 'scoreUpdated',
+                id: killerId,
+                kills: killer.kills,
+                damageDealt: killer.damageDealt
+            });
+        }
+
+        // Broadcast player death for the kill feed
+        this.broadcast({
+            type: 'playerDied',
+            id: playerId,
+            name: player.name,
+            killerId: killerId,
+            killerName: killer ? killer.name : null,
+            weapon: weaponIndex,
+            placement: player.placement
+        });
+
+        // Check if game should end (only one player left)
+        const alivePlayers = this.getAlivePlayers();
+        if (this.matchState === MATCH_STATES.IN_PROGRESS && alivePlayers.length <= 1) {
+            this.determineWinner();
+            this.endGame();
+        }
+    }
+
+    // Get all alive players
+    getAlivePlayers() {
+        return Array.from(this.players.values()).filter(p => p.isAlive);
+    }
+
+    // Determine the winner
+    determineWinner() {
+        const alivePlayers = this.getAlivePlayers();
+
+        if (alivePlayers.length === 1) {
+            // We have a winner
+            const winner = alivePlayers[0];
+            winner.placement = 1;
+            this.log(`${winner.name} won the game!`);
+
+            // Broadcast winner
+            this.broadcast({
+                type: 'gameWon',
+                winnerId: winner.id,
+                winnerName: winner.name,
+                winnerScore: winner.kills
+            });
+        } else {
+            // No winner (everyone died or left)
+            this.log('Game ended with no winner');
+            this.broadcast({
+                type: 'gameDraw'
+            });
+        }
+    }
+
+    // Send everyone the stats, status and ping of every player in the room
+    broadcastScoreboard() {
+        this.broadcast({
+            type: 'scoreboard',
+            players: Array.from(this.players.values()).map(player => {
+                const socket = this.sockets.get(player.id);
+                return {
+                    id: player.id,
+                    name: player.name,
+                    kills: player.kills,
+                    damageDealt: Math.round(player.damageDealt),
+                    placement: player.placement,
+                    isAlive: player.isAlive,
+                    isSpectator: player.isSpectator,
+                    connected: !!socket,
+                    ping: socket && socket.latency !== undefined ? socket.latency : null
+                };
+            })
+        });
+    }
+
+    // Send a message to one player in this room
+    sendToPlayer(playerId, data) {
+        const socket = this.sockets.get(playerId);
+        if (socket) {
+            sendTo(socket, data);
+        }
+    }
+
+    // Send a message to everyone in this room
+    broadcast(data, excludeId = null) {
+        broadcast(this.sockets, data, excludeId);
+    }
+}
+
+// A player's result in the current match, as stored in their stats
+function getMatchResult(player) {
+    return {
+        name: player.name,
+        placement: player.placement,
+        kills: player.kills,
+        damageDealt: Math.round(player.damageDealt),
+        died: !player.isAlive,
+        won: player.placement === 1
+    };
+}
+
+// Clamp a client's view time to the allowed rewind window
+function getRewindTime(viewTime, now) {
+    if (!Number.isFinite(viewTime)) return now;
+    return Math.min(now, Math.max(now - MAX_REWIND_MS, viewTime));
+}
+
+// Distance between two positions on the ground plane
+function horizontalDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Smallest angle between two directions in radians, 0 to PI
+function angleBetween(a, b) {
+    const difference = Math.abs(a - b) % (Math.PI * 2);
+    return difference > Math.PI ? Math.PI * 2 - difference : difference;
+}
+
+// Check that a client-supplied vector has finite coordinates
+function isValidVector(vector) {
+    return !!vector &&
+        Number.isFinite(vector.x) &&
+        Number.isFinite(vector.y) &&
+        Number.isFinite(vector.z);
+}
+
+module.exports = {
+    Room,
+    MATCH_STATES,
+    MAX_PLAYERS,
+    SNAPSHOT_HISTORY_TICKS
+};
@@ -0,0 +1,182 @@
+// Persistent player stats. A store records finished matches and answers
+// leaderboard and per-player queries:
+//
+//   recordMatch({ roomId, startedAt, endedAt, players: [{ name, placement, kills, damageDealt, died, won }] })
+//   getLeaderboard({ sortBy: 'wins' | 'kills' | 'kd', limit })
+//   getPlayer(name)
+//
+// All methods return promises, so a store backed by a database can be
+// dropped in without touching the callers. The default keeps everything in
+// a JSON file and needs no external service.
+const fs = require('fs');
+const path = require('path');
+const { nameKey } = require('../shared/names.js');
+
+const RECENT_MATCHES_KEPT = 20; // Match results kept per player
+const SAVE_DELAY_MS = 1000; // Batch writes that happen close together
+const LEADERBOARD_SORTS = ['wins', 'kills', 'kd'];
+
+// Kills per death, counting a deathless record as one death so it stays comparable
+function killDeathRatio(record) {
+    return Math.round(record.kills / Math.max(1, record.deaths) * 100) / 100;
+}
+
+// Public view of a stored record
+function toPlayerStats(record) {
+    return {
+        name: record.name,
+        matches: record.matches,
+        wins: record.wins,
+        kills: record.kills,
+        deaths: record.deaths,
+        kd: killDeathRatio(record),
+        damageDealt: record.damageDealt,
+        lastPlayed: record.lastPlayed,
+        recentMatches: record.recentMatches
+    };
+}
+
+// Keeps stats in memory only - useful for development and tests
+class MemoryStatsStore {
+    constructor() {
+        this.records = new Map(); // nameKey -> record
+    }
+
+    async recordMatch(match) {
+        match.players.forEach(result => {
+            const key = nameKey(result.name);
+            const record = this.records.get(key) || {
+                name: result.name,
+                matches: 0,
+                wins: 0,
+                kills: 0,
+                deaths: 0,
+                damageDealt: 0,
+                lastPlayed: null,
+                recentMatches: []
+            };
+
+            record.name = result.name; // Keep the latest capitalisation
+            record.matches += 1;
+            record.wins += result.won ? 1 : 0;
+            record.kills += result.kills;
+            record.deaths += result.died ? 1 : 0;
+            record.damageDealt += result.damageDealt;
+            record.lastPlayed = match.endedAt;
+
+            record.recentMatches.unshift({
+                roomId: match.roomId,
+                startedAt: match.startedAt,
+                endedAt: match.endedAt,
+                placement: result.placement,
+                kills: result.kills,
+                damageDealt: result.damageDealt,
+                won: result.won
+            });
+            record.recentMatches.length = Math.min(record.recentMatches.length, RECENT_MATCHES_KEPT);
+
+            this.records.set(key, record);
+        });
+
+        this.changed();
+    }
+
+    async getLeaderboard({ sortBy = 'wins', limit = 10 } = {}) {
+        const sort = LEADERBOARD_SORTS.includes(sortBy) ? sortBy : 'wins';
+
+        return Array.from(this.records.values())
+            .map(toPlayerStats)
+            .sort((a, b) => b[sort] - a[sort] || b.wins - a.wins || b.kills - a.kills)
+            .slice(0, limit)
+            .map(stats => {
+                // The leaderboard doesn't need match history
+                const entry = Object.assign({}, stats);
+                delete entry.recentMatches;
+                return entry;
+            });
+    }
+
+    async getPlayer(name) {
+        const record = this.records.get(nameKey(name));
+        return record ? toPlayerStats(record) : null;
+    }
+
+    // Called after every change, persistent stores save here
+    changed() {}
+}
+
+// Keeps stats in memory and saves them to a JSON file
+class FileStatsStore extends MemoryStatsStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // First run, nothing saved yet
+            throw new Error(`Could not read stats file ${this.filePath}: ${error.message}`);
+        }
+
+        (data.players || []).forEach(record => {
+            this.records.set(nameKey(record.name), record);
+        });
+        console.log(`Loaded stats for ${this.records.size} players from ${this.filePath}`);
+    }
+
+    changed() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY_MS);
+    }
+
+    // Write to a temporary file first so a crash mid-write can't corrupt the stats
+    save() {
+        const data = JSON.stringify({ players: Array.from(this.records.values()) });
+        const tempPath = `${this.filePath}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, data);
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`Could not save stats to ${this.filePath}:`, error);
+        }
+    }
+
+    // Save anything still waiting, e.g. on shutdown
+    flush() {
+        if (!this.saveTimer) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
+    }
+}
+
+// Pick the store from the environment: STATS_STORE=memory, or the default
+// JSON file at STATS_FILE
+function createStatsStore() {
+    if (process.env.STATS_STORE === 'memory') {
+        return new MemoryStatsStore();
+    }
+
+    const filePath = process.env.STATS_FILE || path.join(__dirname, '..', '..', 'data', 'stats.json');
+    return new FileStatsStore(filePath);
+}
+
+module.exports = {
+    MemoryStatsStore,
+    FileStatsStore,
+    createStatsStore,
+    LEADERBOARD_SORTS
+};
@@ -0,0 +1,49 @@
+// Sending messages to clients in their negotiated encoding
+const WebSocket = require('ws');
+const { encodeMessage } = require('../shared/protocol.js');
+
+let bytesSent = 0; // Outgoing traffic since the last call to takeBytesSent
+
+function countBytes(message) {
+    bytesSent += typeof message === 'string' ? Buffer.byteLength(message) : message.length;
+}
+
+// Send a message to one client in its negotiated encoding
+function sendTo(socket, data) {
+    if (socket.readyState !== WebSocket.OPEN) return;
+
+    const message = encodeMessage(data, socket.encoding);
+    countBytes(message);
+    socket.send(message);
+}
+
+// Send a message to every joined client in a collection of sockets
+function broadcast(sockets, data, excludeId = null) {
+    // Encode once per encoding in use
+    const encoded = {};
+
+    sockets.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && client.playerId && (!excludeId || client.playerId !== excludeId)) {
+            if (!encoded[client.encoding]) {
+                encoded[client.encoding] = encodeMessage(data, client.encoding);
+            }
+
+            const message = encoded[client.encoding];
+            countBytes(message);
+            client.send(message);
+        }
+    });
+}
+
+// Read and reset the outgoing traffic counter
+function takeBytesSent() {
+    const bytes = bytesSent;
+    bytesSent = 0;
+    return bytes;
+}
+
+module.exports = {
+    sendTo,
+    broadcast,
+    takeBytesSent
+};
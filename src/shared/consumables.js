@@ -0,0 +1,128 @@
+// Consumable registry shared by the browser client and the Node server:
+// healing items and armour, carried in the inventory's consumable slots
+// (src/shared/inventory.js). Using one is channelled: the player stands still
+// for its useTime and moving or taking damage interrupts it. The server times
+// every use and applies the effect; clients only ask to use an item.
+//
+// Adding a consumable only means adding an entry here:
+//   name       - display name, must be unique
+//   useTime    - milliseconds the player must stand still to use it
+//   heal       - health restored, 0 for none
+//   healLimit  - health it can't heal past, e.g. plasters only patch up light wounds
+//   armour     - armour points added, up to MAX_ARMOUR. 0 for none
+//   color      - pickup model color
+//   lootWeight - how often it lies on the ground, relative to the other loot. 0 never spawns
+//   lootAmount - how many are in one pickup
+const MAX_HEALTH = 100;
+const MAX_ARMOUR = 100;
+const ARMOUR_ABSORPTION = 0.5; // Share of weapon damage armour takes instead of health
+
+const CONSUMABLES = [
+    {
+        name: 'Plaster',
+        useTime: 2000,
+        heal: 15,
+        healLimit: 75,
+        armour: 0,
+        color: 0xf5d0a9,
+        lootWeight: 4,
+        lootAmount: 2
+    },
+    {
+        name: 'First Aid Kit',
+        useTime: 5000,
+        heal: 100,
+        healLimit: MAX_HEALTH,
+        armour: 0,
+        color: 0xdd2222,
+        lootWeight: 1,
+        lootAmount: 1
+    },
+    {
+        name: 'Stab Vest',
+        useTime: 3000,
+        heal: 0,
+        healLimit: 0,
+        armour: 50,
+        color: 0x2f4f6f,
+        lootWeight: 2,
+        lootAmount: 1
+    }
+];
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Check every consumable definition and throw on the first bad one
+function validateConsumables(consumables) {
+    if (!Array.isArray(consumables)) {
+        throw new Error('Consumable registry must be an array');
+    }
+
+    const names = new Set();
+
+    consumables.forEach((consumable, index) => {
+        const fail = (reason) => {
+            const label = consumable && consumable.name ? ` ("${consumable.name}")` : '';
+            throw new Error(`Invalid consumable definition at index ${index}${label}: ${reason}`);
+        };
+
+        if (!consumable || typeof consumable !== 'object') fail('must be an object');
+        if (typeof consumable.name !== 'string' || consumable.name.trim() === '') fail('name must be a non-empty string');
+        if (names.has(consumable.name)) fail('name must be unique');
+        names.add(consumable.name);
+
+        if (!isNonNegativeNumber(consumable.useTime)) fail('useTime must be a non-negative number');
+        if (!isNonNegativeNumber(consumable.heal)) fail('heal must be a non-negative number');
+        if (!isNonNegativeNumber(consumable.armour)) fail('armour must be a non-negative number');
+        if (consumable.heal === 0 && consumable.armour === 0) fail('must heal or add armour');
+        if (consumable.heal > 0 && (!isNonNegativeNumber(consumable.healLimit) || consumable.healLimit === 0 ||
+            consumable.healLimit > MAX_HEALTH)) {
+            fail(`healLimit must be between 1 and ${MAX_HEALTH}`);
+        }
+
+        if (!Number.isInteger(consumable.color)) fail('color must be an integer');
+        if (!isNonNegativeNumber(consumable.lootWeight)) fail('lootWeight must be a non-negative number');
+        if (!Number.isInteger(consumable.lootAmount) || consumable.lootAmount <= 0) fail('lootAmount must be a positive integer');
+    });
+
+    return consumables;
+}
+
+// Why a player can't use a consumable right now, or null if they can
+function getUseError(consumable, health, armour) {
+    const heals = consumable.heal > 0 && health < consumable.healLimit;
+    const armours = consumable.armour > 0 && armour < MAX_ARMOUR;
+    if (heals || armours) return null;
+
+    if (consumable.armour > 0) return 'Your armour is already full';
+    if (consumable.healLimit < MAX_HEALTH && health < MAX_HEALTH) {
+        return `A ${consumable.name} can't heal you past ${consumable.healLimit}`;
+    }
+    return 'You are already at full health';
+}
+
+// Split weapon damage between armour and health. Returns { health, armour }:
+// how much each loses
+function absorbDamage(amount, armour) {
+    const absorbed = Math.min(armour, amount * ARMOUR_ABSORPTION);
+    return { health: amount - absorbed, armour: absorbed };
+}
+
+const SharedConsumables = {
+    MAX_HEALTH,
+    MAX_ARMOUR,
+    ARMOUR_ABSORPTION,
+    CONSUMABLES,
+    validateConsumables,
+    getUseError,
+    absorbDamage
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedConsumables;
+} else {
+    globalThis.SharedConsumables = SharedConsumables;
+}
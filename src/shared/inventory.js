@@ -0,0 +1,63 @@
+// Inventory layout shared by the browser client and the Node server. Every
+// player carries a melee slot, two weapon slots for ranged weapons and
+// consumable slots. The server owns the inventory (src/server/inventory.js)
+// and sends the owning client its slots in loadout messages:
+//
+//   { slot: 1, kind: 'weapon', item: 2, count: 1 }
+//
+// where item indexes the kind's registry, like a pickup (src/shared/loot.js).
+const isNode = typeof module !== 'undefined' && module.exports;
+const { WEAPONS } = isNode ? require('./weapons.js') : globalThis.SharedWeapons;
+
+const SLOT_TYPES = {
+    MELEE: 'melee',
+    WEAPON: 'weapon',
+    CONSUMABLE: 'consumable'
+};
+
+// What each slot holds, in order. Slot numbers are these indices
+const SLOTS = [
+    SLOT_TYPES.MELEE,
+    SLOT_TYPES.WEAPON,
+    SLOT_TYPES.WEAPON,
+    SLOT_TYPES.CONSUMABLE,
+    SLOT_TYPES.CONSUMABLE
+];
+
+const MELEE_SLOT = 0; // Never empty, so there is always something to hold
+const MAX_CONSUMABLE_STACK = 5; // Copies of one consumable a slot can hold
+
+// Whether an item of this kind can go in a slot
+function slotAccepts(slot, kind, item) {
+    switch (SLOTS[slot]) {
+        case SLOT_TYPES.MELEE:
+            return kind === 'weapon' && !!WEAPONS[item] && !WEAPONS[item].projectile;
+        case SLOT_TYPES.WEAPON:
+            return kind === 'weapon' && !!WEAPONS[item] && WEAPONS[item].projectile;
+        case SLOT_TYPES.CONSUMABLE:
+            return kind === 'consumable';
+        default:
+            return false;
+    }
+}
+
+// Slots a weapon can be held from: the melee and weapon slots
+function isWeaponSlot(slot) {
+    return SLOTS[slot] === SLOT_TYPES.MELEE || SLOTS[slot] === SLOT_TYPES.WEAPON;
+}
+
+const SharedInventory = {
+    SLOT_TYPES,
+    SLOTS,
+    MELEE_SLOT,
+    MAX_CONSUMABLE_STACK,
+    slotAccepts,
+    isWeaponSlot
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedInventory;
+} else {
+    globalThis.SharedInventory = SharedInventory;
+}
@@ -0,0 +1,94 @@
+// Loot shared by the browser client and the Node server: what lies on the
+// ground at the map's loot spots and how close a player must be to take it.
+// The server rolls the loot when a match starts and decides every pickup;
+// clients only draw pickups and ask to take them. Players' dropped items
+// become pickups too.
+//
+// A pickup on the wire:
+//   { id: 12, kind: 'weapon', item: 2, amount: 5, position: { x, y, z } }
+// where item is an index into WEAPONS: the weapon itself for 'weapon', the
+// weapon the rounds are for with 'ammo'. For 'consumable' it indexes
+// CONSUMABLES (src/shared/consumables.js). amount is the rounds loaded in a
+// weapon, the rounds in an ammo box or how many consumables there are.
+const isNode = typeof module !== 'undefined' && module.exports;
+const { WEAPONS, usesAmmo } = isNode ? require('./weapons.js') : globalThis.SharedWeapons;
+const { CONSUMABLES } = isNode ? require('./consumables.js') : globalThis.SharedConsumables;
+
+const PICKUP_KINDS = {
+    WEAPON: 'weapon',
+    AMMO: 'ammo',
+    CONSUMABLE: 'consumable'
+};
+
+const PICKUP_RANGE = 2; // Furthest a player can be from a pickup to take it
+const AMMO_BOX_LOOT_WEIGHT = 2; // Chance of an ammo box for each ranged weapon, relative to weapon lootWeights
+
+// Everything that can spawn as loot, with its relative chance
+function getLootTable() {
+    const table = [];
+    WEAPONS.forEach((weapon, index) => {
+        if (weapon.lootWeight > 0) {
+            // Weapons are found loaded
+            table.push({ kind: PICKUP_KINDS.WEAPON, item: index, amount: weapon.magazineSize, weight: weapon.lootWeight });
+        }
+        if (usesAmmo(weapon)) {
+            table.push({ kind: PICKUP_KINDS.AMMO, item: index, amount: weapon.ammoBoxRounds, weight: AMMO_BOX_LOOT_WEIGHT });
+        }
+    });
+    CONSUMABLES.forEach((consumable, index) => {
+        if (consumable.lootWeight > 0) {
+            table.push({ kind: PICKUP_KINDS.CONSUMABLE, item: index, amount: consumable.lootAmount, weight: consumable.lootWeight });
+        }
+    });
+    return table;
+}
+
+// Pick one loot table entry at random, weighted. Null if nothing can spawn
+function rollLoot(random = Math.random) {
+    const table = getLootTable();
+    const totalWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight === 0) return null;
+
+    let roll = random() * totalWeight;
+    let chosen = table[table.length - 1];
+    for (const entry of table) {
+        roll -= entry.weight;
+        if (roll < 0) {
+            chosen = entry;
+            break;
+        }
+    }
+    return { kind: chosen.kind, item: chosen.item, amount: chosen.amount };
+}
+
+// Display name of what a pickup holds, or null for an unknown item
+function getPickupName(pickup) {
+    const weapon = WEAPONS[pickup.item];
+    const consumable = CONSUMABLES[pickup.item];
+
+    switch (pickup.kind) {
+        case PICKUP_KINDS.WEAPON:
+            return weapon ? weapon.name : null;
+        case PICKUP_KINDS.AMMO:
+            return weapon ? `${weapon.name} ammo` : null;
+        case PICKUP_KINDS.CONSUMABLE:
+            return consumable ? consumable.name : null;
+        default:
+            return null;
+    }
+}
+
+const SharedLoot = {
+    PICKUP_KINDS,
+    PICKUP_RANGE,
+    getLootTable,
+    rollLoot,
+    getPickupName
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedLoot;
+} else {
+    globalThis.SharedLoot = SharedLoot;
+}
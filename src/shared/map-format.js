@@ -0,0 +1,165 @@
+// Map file format shared by the browser client, the map editor and the Node
+// server. Maps are JSON documents, either hand-authored in maps/ or produced
+// by the seeded generator:
+//
+//   {
+//     "version": 1,
+//     "name": "Docklands",
+//     "arenaSize": 100,                 // Square arena centred on the origin
+//     "buildings": [{ "position": { "x": 20, "z": -15 }, "size": { "x": 6, "y": 5, "z": 4 },
+//                     "color": 0.05, "lightness": 0.6 }],   // HSL hue and lightness, optional
+//     "cover": [{ "position": { "x": 4, "z": 8 }, "size": { "x": 2, "y": 1.2, "z": 1 } }],
+//     "grass": [{ "position": { "x": -10, "z": 8 }, "size": 4 }],
+//     "spawnPoints": [{ "x": 0, "z": 0 }],
+//     "lootSpots": [{ "x": 3, "z": -4 }],
+//     "zoneEndCircles": [{ "x": 0, "z": 0, "radius": 10 }]   // Where the safe zone may finish
+//   }
+//
+// Positions are on the ground plane. Buildings and cover block movement and
+// projectiles; cover is simply low and drawn differently.
+
+const MAP_FORMAT_VERSION = 1;
+
+const DEFAULT_ARENA_SIZE = 100;
+const MIN_ARENA_SIZE = 20;
+const MAX_ARENA_SIZE = 1000; // Positions must fit the protocol's +-512 range
+const MAX_NAME_LENGTH = 40;
+const DEFAULT_BUILDING_COLOR = 0.05;
+const DEFAULT_BUILDING_LIGHTNESS = 0.6;
+const GRASS_HEIGHT = 0.01; // Just above the ground
+
+// Lists in a map document and what each entry looks like, for validation and the editor
+const MAP_OBJECT_TYPES = {
+    buildings: 'box',
+    cover: 'box',
+    grass: 'patch',
+    spawnPoints: 'point',
+    lootSpots: 'point',
+    zoneEndCircles: 'circle'
+};
+
+function isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+// Reason a point isn't a valid ground position inside the arena, or null
+function checkPoint(point, arenaSize, label) {
+    if (typeof point !== 'object' || point === null || !Number.isFinite(point.x) || !Number.isFinite(point.z)) {
+        return `${label} must have numeric x and z`;
+    }
+    if (Math.abs(point.x) > arenaSize / 2 || Math.abs(point.z) > arenaSize / 2) {
+        return `${label} is outside the arena`;
+    }
+    return null;
+}
+
+function checkObject(object, kind, arenaSize, label) {
+    if (typeof object !== 'object' || object === null) return `${label} must be an object`;
+
+    switch (kind) {
+        case 'box':
+            if (!object.size || !isPositive(object.size.x) || !isPositive(object.size.y) || !isPositive(object.size.z)) {
+                return `${label} needs a positive size x, y and z`;
+            }
+            if (object.color !== undefined && !Number.isFinite(object.color)) return `${label} color must be a number`;
+            if (object.lightness !== undefined && !Number.isFinite(object.lightness)) return `${label} lightness must be a number`;
+            return checkPoint(object.position, arenaSize, `${label} position`);
+
+        case 'patch':
+            if (!isPositive(object.size)) return `${label} needs a positive size`;
+            return checkPoint(object.position, arenaSize, `${label} position`);
+
+        case 'circle':
+            if (!isPositive(object.radius) || object.radius > arenaSize / 2) {
+                return `${label} radius must be positive and fit in the arena`;
+            }
+            return checkPoint(object, arenaSize, label);
+
+        default:
+            return checkPoint(object, arenaSize, label);
+    }
+}
+
+// Reason a map document is invalid, or null if it's fine
+function validateMap(map) {
+    if (typeof map !== 'object' || map === null) return 'Map must be an object';
+    if (map.version !== MAP_FORMAT_VERSION) return `Unsupported map version ${map.version}, expected ${MAP_FORMAT_VERSION}`;
+    if (typeof map.name !== 'string' || !map.name || map.name.length > MAX_NAME_LENGTH) {
+        return `name must be 1 to ${MAX_NAME_LENGTH} characters`;
+    }
+    if (!Number.isFinite(map.arenaSize) || map.arenaSize < MIN_ARENA_SIZE || map.arenaSize > MAX_ARENA_SIZE) {
+        return `arenaSize must be between ${MIN_ARENA_SIZE} and ${MAX_ARENA_SIZE}`;
+    }
+
+    for (const list of Object.keys(MAP_OBJECT_TYPES)) {
+        if (!Array.isArray(map[list])) return `${list} must be an array`;
+
+        for (let i = 0; i < map[list].length; i++) {
+            const error = checkObject(map[list][i], MAP_OBJECT_TYPES[list], map.arenaSize, `${list}[${i}]`);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+// An empty map, the editor's starting point
+function createEmptyMap(name = 'Untitled', arenaSize = DEFAULT_ARENA_SIZE) {
+    const map = { version: MAP_FORMAT_VERSION, name: name, arenaSize: arenaSize };
+    Object.keys(MAP_OBJECT_TYPES).forEach(list => {
+        map[list] = [];
+    });
+    return map;
+}
+
+// 3D box resting on the ground, as drawn and collided with
+function toBox(object) {
+    return {
+        position: { x: object.position.x, y: object.size.y / 2, z: object.position.z },
+        size: { x: object.size.x, y: object.size.y, z: object.size.z },
+        color: object.color !== undefined ? object.color : DEFAULT_BUILDING_COLOR,
+        lightness: object.lightness !== undefined ? object.lightness : DEFAULT_BUILDING_LIGHTNESS
+    };
+}
+
+// Turn a (valid) map document into what the game runs on: world-space boxes
+// and patches plus the obstacle list used for collisions
+function toLayout(map) {
+    const buildings = map.buildings.map(toBox);
+    const cover = map.cover.map(toBox);
+
+    return {
+        name: map.name,
+        arenaSize: map.arenaSize,
+        buildings: buildings,
+        cover: cover,
+        grassPatches: map.grass.map(patch => ({
+            position: { x: patch.position.x, y: GRASS_HEIGHT, z: patch.position.z },
+            size: patch.size
+        })),
+        obstacles: buildings.concat(cover).map(box => ({
+            position: { x: box.position.x, y: 0, z: box.position.z },
+            size: { x: box.size.x, y: box.size.y, z: box.size.z }
+        })),
+        spawnPoints: map.spawnPoints.map(point => ({ x: point.x, z: point.z })),
+        lootSpots: map.lootSpots.map(point => ({ x: point.x, z: point.z })),
+        zoneEndCircles: map.zoneEndCircles.map(circle => ({ x: circle.x, z: circle.z, radius: circle.radius }))
+    };
+}
+
+const SharedMapFormat = {
+    MAP_FORMAT_VERSION,
+    DEFAULT_ARENA_SIZE,
+    MIN_ARENA_SIZE,
+    MAX_ARENA_SIZE,
+    MAP_OBJECT_TYPES,
+    validateMap,
+    createEmptyMap,
+    toLayout
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedMapFormat;
+} else {
+    globalThis.SharedMapFormat = SharedMapFormat;
+}
@@ -0,0 +1,82 @@
+// Map generation shared by the browser client and the Node server.
+// A generated map is fully determined by its seed: the server generates it
+// for collisions and sends only the seed, and the client generates the same
+// buildings and grass to draw them. The result is a map document in the
+// format of src/shared/map-format.js, like a hand-authored map.
+const isNode = typeof module !== 'undefined' && module.exports;
+const { createRandom } = isNode ? require('./prng.js') : globalThis.SharedPrng;
+const { createEmptyMap } = isNode ? require('./map-format.js') : globalThis.SharedMapFormat;
+
+const BUILDING_COUNT = 20;
+const GRASS_PATCH_COUNT = 15;
+const LOOT_SPOT_COUNT = 24;
+const CLEAR_SPAWN_AREA = 10; // Buildings stay this far from the centre on both axes
+const LOOT_CLEARANCE = 1; // Loot spots stay this far from buildings
+
+// Whether a ground point is inside (or right next to) one of the map's buildings
+function isNearBuilding(map, x, z) {
+    return map.buildings.some(building => (
+        Math.abs(x - building.position.x) < building.size.x / 2 + LOOT_CLEARANCE &&
+        Math.abs(z - building.position.z) < building.size.z / 2 + LOOT_CLEARANCE
+    ));
+}
+
+// Random buildings, grass and loot spots in the default arena
+function generateMap(seed) {
+    const random = createRandom(seed);
+    const map = createEmptyMap(`Random ${seed}`);
+
+    for (let i = 0; i < BUILDING_COUNT; i++) {
+        // Random building dimensions
+        const width = 3 + random() * 8;
+        const depth = 3 + random() * 8;
+        const height = 3 + random() * 5;
+
+        // Position away from center
+        let x, z;
+        do {
+            x = (random() - 0.5) * 80;
+            z = (random() - 0.5) * 80;
+        } while (Math.abs(x) < CLEAR_SPAWN_AREA && Math.abs(z) < CLEAR_SPAWN_AREA);
+
+        map.buildings.push({
+            position: { x: x, z: z },
+            size: { x: width, y: height, z: depth },
+            color: random() * 0.1, // HSL hue
+            lightness: 0.5 + random() * 0.2
+        });
+    }
+
+    for (let i = 0; i < GRASS_PATCH_COUNT; i++) {
+        const size = 2 + random() * 8;
+        map.grass.push({
+            position: {
+                x: (random() - 0.5) * 90,
+                z: (random() - 0.5) * 90
+            },
+            size: size
+        });
+    }
+
+    // Loot spots come last so adding them didn't change the layout of existing seeds
+    while (map.lootSpots.length < LOOT_SPOT_COUNT) {
+        const x = (random() - 0.5) * 90;
+        const z = (random() - 0.5) * 90;
+        if (!isNearBuilding(map, x, z)) {
+            map.lootSpots.push({ x: x, z: z });
+        }
+    }
+
+    return map;
+}
+
+const SharedMapGenerator = {
+    generateMap
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedMapGenerator;
+} else {
+    globalThis.SharedMapGenerator = SharedMapGenerator;
+}
@@ -0,0 +1,97 @@
+// Movement rules shared by the browser client and the Node server.
+// The server steps players with applyMovementInput, and the client runs the
+// same function to predict its own movement, so both sides agree on speed,
+// collision and bounds.
+
+// Player movement speed in world units per frame at 60fps (Player.speed)
+const PLAYER_SPEED = 0.15;
+const FRAME_TIME = 1000 / 60;
+
+// Player collision box width
+const PLAYER_SIZE = 1;
+
+// Players stand on the ground at this height
+const PLAYER_HEIGHT = 0.5;
+
+// Square arena centred on the origin, unless a map sets its own size
+const ARENA_SIZE = 100;
+
+// Check if a box of the given width overlaps any obstacle or leaves the arena.
+// Works with both THREE.Vector3 and plain { x, y, z } objects.
+function collidesWithWorld(position, size, obstacles, arenaSize = ARENA_SIZE) {
+    for (let i = 0; i < obstacles.length; i++) {
+        const obstacle = obstacles[i];
+        const halfX = obstacle.size.x / 2;
+        const halfZ = obstacle.size.z / 2;
+
+        if (
+            position.x + size / 2 > obstacle.position.x - halfX &&
+            position.x - size / 2 < obstacle.position.x + halfX &&
+            position.z + size / 2 > obstacle.position.z - halfZ &&
+            position.z - size / 2 < obstacle.position.z + halfZ
+        ) {
+            return true;
+        }
+    }
+
+    return isOutsideArena(position, arenaSize);
+}
+
+// Check if a position is outside the arena
+function isOutsideArena(position, arenaSize = ARENA_SIZE) {
+    const half = arenaSize / 2;
+    return position.x < -half || position.x > half || position.z < -half || position.z > half;
+}
+
+// Move a position by one input: { up, down, left, right, dt } where dt is in
+// milliseconds. Modifies and returns position. The safe zone doesn't block
+// movement; being outside it only hurts (src/shared/zone.js)
+function applyMovementInput(position, input, obstacles, arenaSize = ARENA_SIZE) {
+    let vx = 0;
+    let vz = 0;
+
+    if (input.up) vz = -1;
+    if (input.down) vz = 1;
+    if (input.left) vx = -1;
+    if (input.right) vx = 1;
+
+    // Normalize velocity for diagonal movement
+    if (vx !== 0 && vz !== 0) {
+        vx *= Math.SQRT1_2;
+        vz *= Math.SQRT1_2;
+    }
+
+    // Store old position for collision resolution
+    const oldX = position.x;
+    const oldZ = position.z;
+
+    const distance = PLAYER_SPEED * (input.dt / FRAME_TIME);
+    position.x += vx * distance;
+    position.z += vz * distance;
+
+    // Collision detected, revert to old position
+    if (collidesWithWorld(position, PLAYER_SIZE, obstacles, arenaSize)) {
+        position.x = oldX;
+        position.z = oldZ;
+    }
+
+    return position;
+}
+
+const SharedMovement = {
+    PLAYER_SPEED,
+    FRAME_TIME,
+    PLAYER_SIZE,
+    PLAYER_HEIGHT,
+    ARENA_SIZE,
+    collidesWithWorld,
+    isOutsideArena,
+    applyMovementInput
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedMovement;
+} else {
+    globalThis.SharedMovement = SharedMovement;
+}
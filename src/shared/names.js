@@ -0,0 +1,45 @@
+// Display name rules shared by the browser client and the Node server.
+// The client checks a name before sending it in its hello, the server checks
+// it again and also makes sure nobody else connected is using it.
+
+const NAME_MIN_LENGTH = 2;
+const NAME_MAX_LENGTH = 16;
+
+// Letters, digits, spaces, underscores and hyphens
+const NAME_PATTERN = /^[A-Za-z0-9 _-]+$/;
+
+// Trim a name and collapse runs of whitespace
+function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+}
+
+// Reason a normalized name isn't allowed, or null if it's fine
+function validateName(name) {
+    if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+        return `Name must be ${NAME_MIN_LENGTH} to ${NAME_MAX_LENGTH} characters long`;
+    }
+    if (!NAME_PATTERN.test(name)) {
+        return 'Name may only contain letters, numbers, spaces, _ and -';
+    }
+    return null;
+}
+
+// Names are unique ignoring case, so "Dave" and "dave" can't play at the same time
+function nameKey(name) {
+    return name.toLowerCase();
+}
+
+const SharedNames = {
+    NAME_MIN_LENGTH,
+    NAME_MAX_LENGTH,
+    normalizeName,
+    validateName,
+    nameKey
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedNames;
+} else {
+    globalThis.SharedNames = SharedNames;
+}
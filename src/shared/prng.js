@@ -0,0 +1,42 @@
+// Seeded pseudo-random numbers shared by the browser client and the Node
+// server. The same seed gives the same sequence on both sides, which is what
+// lets a client rebuild a map from its seed alone.
+
+// Seeds are unsigned 32-bit integers
+const MAX_SEED = 0xFFFFFFFF;
+
+// Mulberry32: small, fast and good enough for level generation. Returns a
+// function giving numbers in [0, 1), like Math.random
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh seed for when nobody asked for a particular one
+function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+const SharedPrng = {
+    MAX_SEED,
+    createRandom,
+    randomSeed,
+    isValidSeed
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedPrng;
+} else {
+    globalThis.SharedPrng = SharedPrng;
+}
@@ -0,0 +1,381 @@
+// Wire protocol shared by the browser client and the Node server.
+//
+// Every message is a plain object with a `type`. On the wire it is sent either
+// as JSON text (the debugging fallback) or as a binary frame:
+//
+//   byte 0    protocol version
+//   byte 1    message type ID (MESSAGE_TYPE_IDS)
+//   byte 2..  payload
+//
+// Frequent messages (playerInput, snapshotAck, snapshot) have compact
+// hand-written payloads with quantised positions and angles. Everything else
+// carries its fields as UTF-8 JSON after the two header bytes.
+//
+// The client picks an encoding in its first message ({ type: 'hello', ... },
+// always sent as JSON text) and the server answers in that encoding from then on.
+
+const PROTOCOL_VERSION = 1;
+
+const ENCODINGS = ['binary', 'json'];
+
+// WebSocket close code for a connection whose player was resumed by another
+// one. The closed client must not reconnect with the same resume token
+const SESSION_RESUMED_ELSEWHERE = 4000;
+
+// Type IDs are part of the protocol - never renumber, only append
+const MESSAGE_TYPE_IDS = {
+    // Client -> server
+    hello: 1,
+    playerInput: 2,
+    snapshotAck: 3,
+    attack: 4,
+    projectileHit: 5,
+    switchWeapon: 6,
+    respawn: 7,
+    requestMapData: 8,
+    ping: 9,
+    pickUp: 10,
+    reload: 11,
+    cancelReload: 12,
+    dropItem: 13,
+    useItem: 14,
+
+    // Server -> client
+    playerConnected: 32,
+    playerJoined: 33,
+    playerLeft: 34,
+    snapshot: 35,
+    playerDamaged: 36,
+    playerDied: 37,
+    scoreUpdated: 38,
+    projectileFired: 39,
+    gameStarted: 40,
+    gameEnded: 41,
+    // 42 was areaShrank, replaced by zone. Don't reuse it
+    zoneDamage: 43,
+    gameWon: 44,
+    gameDraw: 45,
+    respawnAccepted: 46,
+    respawnRejected: 47,
+    playerRespawned: 48,
+    mapData: 49,
+    pong: 50,
+    error: 51,
+    matchState: 52,
+    scoreboard: 53,
+    serverMessage: 54,
+    pickups: 55,
+    pickupTaken: 56,
+    loadout: 57,
+    pickupDropped: 58,
+    playerHealed: 59,
+    zone: 60
+};
+
+const MESSAGE_TYPE_NAMES = {};
+Object.keys(MESSAGE_TYPE_IDS).forEach(name => {
+    MESSAGE_TYPE_NAMES[MESSAGE_TYPE_IDS[name]] = name;
+});
+
+// Positions are sent as int16 in 1/64 world units (+-512 units, ~1.5cm precision)
+const POSITION_SCALE = 64;
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+
+// Angles are sent as uint16 fractions of a full turn
+const ANGLE_STEPS = 65536;
+const TWO_PI = Math.PI * 2;
+
+// Bit flags marking which fields a snapshot entry carries
+const SNAPSHOT_FIELDS = {
+    POSITION: 1,
+    ROTATION: 2,
+    HEALTH: 4,
+    WEAPON: 8,
+    ALIVE: 16
+};
+
+// Movement key flags in playerInput
+const INPUT_KEYS = { up: 1, down: 2, left: 4, right: 8 };
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function quantizePositionComponent(value) {
+    return clamp(Math.round(value * POSITION_SCALE), INT16_MIN, INT16_MAX);
+}
+
+function quantizeAngleValue(angle) {
+    const turns = ((angle % TWO_PI) + TWO_PI) % TWO_PI / TWO_PI;
+    return Math.round(turns * ANGLE_STEPS) % ANGLE_STEPS;
+}
+
+// Round a position to what survives the binary encoding
+function quantizePosition(position) {
+    return {
+        x: quantizePositionComponent(position.x) / POSITION_SCALE,
+        y: quantizePositionComponent(position.y) / POSITION_SCALE,
+        z: quantizePositionComponent(position.z) / POSITION_SCALE
+    };
+}
+
+// Round an angle to what survives the binary encoding, in the range [-PI, PI)
+function quantizeAngle(angle) {
+    const value = quantizeAngleValue(angle) / ANGLE_STEPS * TWO_PI;
+    return value >= Math.PI ? value - TWO_PI : value;
+}
+
+// Small helper for writing binary payloads of unknown length
+class Writer {
+    constructor() {
+        this.buffer = new ArrayBuffer(64);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + bytes) size *= 2;
+
+        const grown = new ArrayBuffer(size);
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    uint8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    uint16(value) { this.ensure(2); this.view.setUint16(this.offset, value); this.offset += 2; }
+    int16(value) { this.ensure(2); this.view.setInt16(this.offset, value); this.offset += 2; }
+    uint32(value) { this.ensure(4); this.view.setUint32(this.offset, value); this.offset += 4; }
+    float64(value) { this.ensure(8); this.view.setFloat64(this.offset, value); this.offset += 8; }
+
+    position(position) {
+        this.int16(quantizePositionComponent(position.x));
+        this.int16(quantizePositionComponent(position.y));
+        this.int16(quantizePositionComponent(position.z));
+    }
+
+    angle(angle) {
+        this.uint16(quantizeAngleValue(angle));
+    }
+
+    bytes(array) {
+        this.ensure(array.length);
+        new Uint8Array(this.buffer, this.offset, array.length).set(array);
+        this.offset += array.length;
+    }
+
+    result() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+class Reader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    uint8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    uint16() { const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+    int16() { const value = this.view.getInt16(this.offset); this.offset += 2; return value; }
+    uint32() { const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+    float64() { const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+
+    position() {
+        return {
+            x: this.int16() / POSITION_SCALE,
+            y: this.int16() / POSITION_SCALE,
+            z: this.int16() / POSITION_SCALE
+        };
+    }
+
+    angle() {
+        const value = this.uint16() / ANGLE_STEPS * TWO_PI;
+        return value >= Math.PI ? value - TWO_PI : value;
+    }
+
+    rest() {
+        return this.bytes.subarray(this.offset);
+    }
+}
+
+// Hand-written payload codecs for the messages sent many times per second
+const BINARY_CODECS = {
+    // { seq, up, down, left, right, dt, rotation }
+    playerInput: {
+        write(writer, message) {
+            let keys = 0;
+            Object.keys(INPUT_KEYS).forEach(key => {
+                if (message[key]) keys |= INPUT_KEYS[key];
+            });
+
+            writer.uint32(message.seq);
+            writer.uint8(keys);
+            writer.uint8(clamp(Math.round(message.dt), 0, 255));
+            writer.angle(message.rotation);
+        },
+        read(reader) {
+            const message = { seq: reader.uint32() };
+            const keys = reader.uint8();
+            Object.keys(INPUT_KEYS).forEach(key => {
+                message[key] = (keys & INPUT_KEYS[key]) !== 0;
+            });
+            message.dt = reader.uint8();
+            message.rotation = reader.angle();
+            return message;
+        }
+    },
+
+    // { tick }
+    snapshotAck: {
+        write(writer, message) {
+            writer.uint32(message.tick);
+        },
+        read(reader) {
+            return { tick: reader.uint32() };
+        }
+    },
+
+    // { tick, time, baseTick, lastInput, players: [{ netId, ...changed fields }], removed: [netId] }
+    snapshot: {
+        write(writer, message) {
+            writer.uint32(message.tick);
+            writer.float64(message.time);
+            writer.uint32(message.baseTick);
+            writer.uint32(message.lastInput);
+
+            writer.uint8(message.players.length);
+            message.players.forEach(entry => {
+                let fields = 0;
+                if (entry.position !== undefined) fields |= SNAPSHOT_FIELDS.POSITION;
+                if (entry.rotation !== undefined) fields |= SNAPSHOT_FIELDS.ROTATION;
+                if (entry.health !== undefined) fields |= SNAPSHOT_FIELDS.HEALTH;
+                if (entry.weapon !== undefined) fields |= SNAPSHOT_FIELDS.WEAPON;
+                if (entry.isAlive !== undefined) fields |= SNAPSHOT_FIELDS.ALIVE;
+
+                writer.uint16(entry.netId);
+                writer.uint8(fields);
+                if (fields & SNAPSHOT_FIELDS.POSITION) writer.position(entry.position);
+                if (fields & SNAPSHOT_FIELDS.ROTATION) writer.angle(entry.rotation);
+                if (fields & SNAPSHOT_FIELDS.HEALTH) writer.int16(clamp(Math.round(entry.health), INT16_MIN, INT16_MAX));
+                if (fields & SNAPSHOT_FIELDS.WEAPON) writer.uint8(entry.weapon);
+                if (fields & SNAPSHOT_FIELDS.ALIVE) writer.uint8(entry.isAlive ? 1 : 0);
+            });
+
+            writer.uint8(message.removed.length);
+            message.removed.forEach(netId => writer.uint16(netId));
+        },
+        read(reader) {
+            const message = {
+                tick: reader.uint32(),
+                time: reader.float64(),
+                baseTick: reader.uint32(),
+                lastInput: reader.uint32(),
+                players: [],
+                removed: []
+            };
+
+            const count = reader.uint8();
+            for (let i = 0; i < count; i++) {
+                const entry = { netId: reader.uint16() };
+                const fields = reader.uint8();
+                if (fields & SNAPSHOT_FIELDS.POSITION) entry.position = reader.position();
+                if (fields & SNAPSHOT_FIELDS.ROTATION) entry.rotation = reader.angle();
+                if (fields & SNAPSHOT_FIELDS.HEALTH) entry.health = reader.int16();
+                if (fields & SNAPSHOT_FIELDS.WEAPON) entry.weapon = reader.uint8();
+                if (fields & SNAPSHOT_FIELDS.ALIVE) entry.isAlive = reader.uint8() === 1;
+                message.players.push(entry);
+            }
+
+            const removedCount = reader.uint8();
+            for (let i = 0; i < removedCount; i++) {
+                message.removed.push(reader.uint16());
+            }
+
+            return message;
+        }
+    }
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Encode a message for the wire: a string for 'json', a Uint8Array for 'binary'
+function encodeMessage(message, encoding) {
+    if (encoding !== 'binary') {
+        return JSON.stringify(message);
+    }
+
+    const typeId = MESSAGE_TYPE_IDS[message.type];
+    if (!typeId) {
+        throw new Error(`Unknown message type: ${message.type}`);
+    }
+
+    const writer = new Writer();
+    writer.uint8(PROTOCOL_VERSION);
+    writer.uint8(typeId);
+
+    const codec = BINARY_CODECS[message.type];
+    if (codec) {
+        codec.write(writer, message);
+    } else {
+        // Low-frequency message - send its fields as JSON
+        const fields = Object.assign({}, message);
+        delete fields.type;
+        writer.bytes(textEncoder.encode(JSON.stringify(fields)));
+    }
+
+    return writer.result();
+}
+
+// Decode a message from the wire. Accepts JSON text or binary data
+// (ArrayBuffer, Uint8Array or a Node Buffer).
+function decodeMessage(data) {
+    if (typeof data === 'string') {
+        return JSON.parse(data);
+    }
+
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+    const reader = new Reader(bytes);
+
+    const version = reader.uint8();
+    if (version !== PROTOCOL_VERSION) {
+        throw new Error(`Unsupported protocol version: ${version}`);
+    }
+
+    const type = MESSAGE_TYPE_NAMES[reader.uint8()];
+    if (!type) {
+        throw new Error('Unknown message type ID');
+    }
+
+    const codec = BINARY_CODECS[type];
+    const fields = codec ? codec.read(reader) : JSON.parse(textDecoder.decode(reader.rest()));
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+        throw new Error('Message payload must be an object');
+    }
+    // The header's type wins over a type in the payload: it's the one the rate limiter saw
+    return Object.assign(fields, { type: type });
+}
+
+const SharedProtocol = {
+    PROTOCOL_VERSION,
+    ENCODINGS,
+    SESSION_RESUMED_ELSEWHERE,
+    MESSAGE_TYPE_IDS,
+    quantizePosition,
+    quantizeAngle,
+    encodeMessage,
+    decodeMessage
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedProtocol;
+} else {
+    globalThis.SharedProtocol = SharedProtocol;
+}
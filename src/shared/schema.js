@@ -0,0 +1,575 @@
+// Schemas for every socket message, shared by the browser client and the Node
+// server. Each side validates what it receives before acting on it. The
+// definitions below are also the protocol reference: what each message is
+// for, its fields, and an example that must pass its own schema.
+//
+// Field specs are either a type name or an object:
+//
+//   'integer'              required
+//   'string?'              optional (may be missing)
+//   'integer|null'         one of several types
+//   { oneOf: [...] }       one of these exact values
+//   { array: spec }        array whose items all match spec
+//   { fields: { ... } }    object with these fields (extra fields are ignored)
+//
+// Object specs take optional: true to allow them to be missing.
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    null: value => value === null,
+    object: value => isPlainObject(value),
+    vector3: value => isPlainObject(value) &&
+        Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z)
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Reusable pieces
+const MATCH_STATE_NAMES = ['waiting', 'countdown', 'inProgress', 'postGame'];
+
+// Generated maps come as their seed (src/shared/map-generator.js), map files
+// as the whole document (src/shared/map-format.js, checked with validateMap)
+const MAP_DATA = {
+    fields: {
+        id: 'integer',
+        seed: 'integer?',
+        map: 'object?'
+    }
+};
+
+// A safe zone plan, see src/shared/zone.js
+const ZONE = {
+    fields: {
+        circles: { array: { fields: { x: 'number', z: 'number', radius: 'number' } } },
+        phases: { array: { fields: { wait: 'number', shrink: 'number', radius: 'number', damagePerSecond: 'number' } } },
+        elapsed: 'number'
+    }
+};
+
+const PLAYER_STATE = {
+    fields: {
+        id: 'string',
+        netId: 'integer',
+        name: 'string',
+        position: 'vector3',
+        rotation: 'number',
+        health: 'number',
+        weapon: 'integer',
+        isAlive: 'boolean'
+    }
+};
+
+// An item lying on the ground, see src/shared/loot.js
+const PICKUP = {
+    fields: {
+        id: 'integer',
+        kind: { oneOf: ['weapon', 'ammo', 'consumable'] },
+        item: 'integer',
+        amount: 'integer',
+        position: 'vector3'
+    }
+};
+
+const EXAMPLE_POSITION = { x: 4.5, y: 0.5, z: -12.25 };
+const EXAMPLE_MAP = { id: 3, seed: 2654435769 };
+const EXAMPLE_PLAYER = {
+    id: '9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d',
+    netId: 1,
+    name: 'Dave',
+    position: EXAMPLE_POSITION,
+    rotation: 1.57,
+    health: 100,
+    weapon: 0,
+    isAlive: true
+};
+
+// from: 'client' for client -> server messages, 'server' for server -> client
+const MESSAGES = {
+    // Client -> server
+
+    hello: {
+        from: 'client',
+        description: 'First message on a connection, always JSON text. Picks the encoding and joins or resumes',
+        fields: { protocolVersion: 'integer', encoding: 'string?', mapId: 'integer|null?', resumeToken: 'string?', name: 'string?' },
+        example: { type: 'hello', protocolVersion: 1, encoding: 'binary', mapId: null, name: 'Dave' }
+    },
+    playerInput: {
+        from: 'client',
+        description: 'Movement keys held for dt milliseconds, applied on the next tick',
+        fields: { seq: 'integer', up: 'boolean', down: 'boolean', left: 'boolean', right: 'boolean', dt: 'number', rotation: 'number' },
+        example: { type: 'playerInput', seq: 42, up: true, down: false, left: false, right: true, dt: 16, rotation: 0.5 }
+    },
+    snapshotAck: {
+        from: 'client',
+        description: 'The client has this snapshot, so later ones can be deltas against it',
+        fields: { tick: 'integer' },
+        example: { type: 'snapshotAck', tick: 1200 }
+    },
+    attack: {
+        from: 'client',
+        description: 'Use the held weapon. origin is only sent for projectile weapons',
+        fields: { projectile: 'boolean', direction: 'vector3', origin: 'vector3?', viewTime: 'number|null?' },
+        example: { type: 'attack', projectile: true, direction: { x: 1, y: 0, z: 0 }, origin: EXAMPLE_POSITION, viewTime: 1700000000000 }
+    },
+    projectileHit: {
+        from: 'client',
+        description: 'Hint that one of our projectiles hit a player. The server only uses it to check its own projectiles early',
+        fields: { targetId: 'string' },
+        example: { type: 'projectileHit', targetId: EXAMPLE_PLAYER.id }
+    },
+    switchWeapon: {
+        from: 'client',
+        description: 'Hold a different weapon',
+        fields: { weapon: 'integer' },
+        example: { type: 'switchWeapon', weapon: 2 }
+    },
+    respawn: {
+        from: 'client',
+        description: 'Ask to respawn, only allowed between matches',
+        fields: {},
+        example: { type: 'respawn' }
+    },
+    requestMapData: {
+        from: 'client',
+        description: 'Ask for the current map again',
+        fields: {},
+        example: { type: 'requestMapData' }
+    },
+    ping: {
+        from: 'client',
+        description: 'Keep-alive',
+        fields: { timestamp: 'number?' },
+        example: { type: 'ping', timestamp: 1700000000000 }
+    },
+    pickUp: {
+        from: 'client',
+        description: 'Take a pickup we are standing next to',
+        fields: { pickupId: 'integer' },
+        example: { type: 'pickUp', pickupId: 12 }
+    },
+    reload: {
+        from: 'client',
+        description: 'Start refilling the held weapon\'s magazine from the reserve',
+        fields: {},
+        example: { type: 'reload' }
+    },
+    cancelReload: {
+        from: 'client',
+        description: 'Stop a reload before it finishes, keeping the magazine as it was',
+        fields: {},
+        example: { type: 'cancelReload' }
+    },
+    dropItem: {
+        from: 'client',
+        description: 'Drop everything in one of our inventory slots on the ground. The melee slot can\'t be emptied',
+        fields: { slot: 'integer' },
+        example: { type: 'dropItem', slot: 1 }
+    },
+    useItem: {
+        from: 'client',
+        description: 'Start using the consumable in one of our inventory slots. Moving or taking damage interrupts it',
+        fields: { slot: 'integer' },
+        example: { type: 'useItem', slot: 3 }
+    },
+
+    // Server -> client
+
+    playerConnected: {
+        from: 'server',
+        description: 'Welcome after a hello: our identity, the room and everyone in it. mapData is left out if the client already has the map',
+        fields: {
+            id: 'string',
+            netId: 'integer',
+            name: 'string',
+            resumeToken: 'string',
+            resumed: 'boolean',
+            roomId: 'integer',
+            gameInProgress: 'boolean',
+            zone: ZONE,
+            mapId: 'integer',
+            mapData: Object.assign({ optional: true }, MAP_DATA),
+            players: { array: PLAYER_STATE }
+        },
+        example: {
+            type: 'playerConnected',
+            id: EXAMPLE_PLAYER.id,
+            netId: 1,
+            name: 'Dave',
+            resumeToken: '5f2b8c0e9d4a7b6c1e3f5a7b9c0d2e4f',
+            resumed: false,
+            roomId: 1,
+            gameInProgress: false,
+            zone: { circles: [{ x: 0, z: 0, radius: 70.7 }], phases: [], elapsed: 0 },
+            mapId: 3,
+            mapData: EXAMPLE_MAP,
+            players: [EXAMPLE_PLAYER]
+        }
+    },
+    playerJoined: {
+        from: 'server',
+        description: 'Someone else joined the room',
+        fields: PLAYER_STATE.fields,
+        example: Object.assign({ type: 'playerJoined' }, EXAMPLE_PLAYER)
+    },
+    playerLeft: {
+        from: 'server',
+        description: 'A player left the room for good',
+        fields: { id: 'string' },
+        example: { type: 'playerLeft', id: EXAMPLE_PLAYER.id }
+    },
+    snapshot: {
+        from: 'server',
+        description: 'World state for one tick, as a delta against baseTick (0 for a full snapshot)',
+        fields: {
+            tick: 'integer',
+            time: 'number',
+            baseTick: 'integer',
+            lastInput: 'integer',
+            players: {
+                array: {
+                    fields: {
+                        netId: 'integer',
+                        position: 'vector3?',
+                        rotation: 'number?',
+                        health: 'number?',
+                        weapon: 'integer?',
+                        isAlive: 'boolean?'
+                    }
+                }
+            },
+            removed: { array: 'integer' }
+        },
+        example: {
+            type: 'snapshot',
+            tick: 1201,
+            time: 1700000000050,
+            baseTick: 1200,
+            lastInput: 42,
+            players: [{ netId: 1, position: EXAMPLE_POSITION, health: 80 }],
+            removed: [4]
+        }
+    },
+    playerDamaged: {
+        from: 'server',
+        description: 'A player lost health, or armour and health. source is the attacker ID or "zone"',
+        fields: { id: 'string', health: 'number', armour: 'number', source: 'string' },
+        example: { type: 'playerDamaged', id: EXAMPLE_PLAYER.id, health: 65, armour: 0, source: 'zone' }
+    },
+    playerHealed: {
+        from: 'server',
+        description: 'A player finished using a consumable and gained health or armour',
+        fields: { id: 'string', health: 'number', armour: 'number' },
+        example: { type: 'playerHealed', id: EXAMPLE_PLAYER.id, health: 75, armour: 50 }
+    },
+    playerDied: {
+        from: 'server',
+        description: 'A player was eliminated. weapon is null for zone deaths, placement null outside a match',
+        fields: {
+            id: 'string',
+            name: 'string',
+            killerId: 'string',
+            killerName: 'string|null',
+            weapon: 'integer|null',
+            placement: 'integer|null'
+        },
+        example: { type: 'playerDied', id: EXAMPLE_PLAYER.id, name: 'Dave', killerId: 'zone', killerName: null, weapon: null, placement: 4 }
+    },
+    scoreUpdated: {
+        from: 'server',
+        description: 'A player scored a kill',
+        fields: { id: 'string', kills: 'integer', damageDealt: 'number' },
+        example: { type: 'scoreUpdated', id: EXAMPLE_PLAYER.id, kills: 3, damageDealt: 250 }
+    },
+    projectileFired: {
+        from: 'server',
+        description: 'A projectile the server is now simulating, for clients to draw',
+        fields: { id: 'string', projectileId: 'integer', origin: 'vector3', direction: 'vector3', weapon: 'integer' },
+        example: { type: 'projectileFired', id: EXAMPLE_PLAYER.id, projectileId: 17, origin: EXAMPLE_POSITION, direction: { x: 0, y: 0, z: -1 }, weapon: 2 }
+    },
+    gameStarted: {
+        from: 'server',
+        description: 'A match started on a new map',
+        fields: { startTime: 'number', mapData: MAP_DATA },
+        example: { type: 'gameStarted', startTime: 1700000000000, mapData: EXAMPLE_MAP }
+    },
+    gameEnded: {
+        from: 'server',
+        description: 'The match is over',
+        fields: {},
+        example: { type: 'gameEnded' }
+    },
+    zone: {
+        from: 'server',
+        description: 'The safe zone plan: the starting circle, the circle each phase shrinks to and the phase timings. ' +
+            'Sent when a match starts and ends; clients move the circle along the plan themselves',
+        fields: ZONE.fields,
+        example: {
+            type: 'zone',
+            circles: [{ x: 0, z: 0, radius: 70.7 }, { x: 6.2, z: -3.5, radius: 35 }],
+            phases: [{ wait: 60, shrink: 40, radius: 0.7, damagePerSecond: 1 }],
+            elapsed: 12500
+        }
+    },
+    zoneDamage: {
+        from: 'server',
+        description: 'We took damage for being outside the safe zone',
+        fields: { damage: 'number' },
+        example: { type: 'zoneDamage', damage: 5 }
+    },
+    gameWon: {
+        from: 'server',
+        description: 'The match has a winner',
+        fields: { winnerId: 'string', winnerName: 'string', winnerScore: 'integer' },
+        example: { type: 'gameWon', winnerId: EXAMPLE_PLAYER.id, winnerName: 'Dave', winnerScore: 5 }
+    },
+    gameDraw: {
+        from: 'server',
+        description: 'The match ended with nobody standing',
+        fields: {},
+        example: { type: 'gameDraw' }
+    },
+    respawnAccepted: {
+        from: 'server',
+        description: 'We are alive again at this position',
+        fields: { position: 'vector3' },
+        example: { type: 'respawnAccepted', position: EXAMPLE_POSITION }
+    },
+    respawnRejected: {
+        from: 'server',
+        description: 'We asked to respawn while a match is running',
+        fields: { reason: 'string' },
+        example: { type: 'respawnRejected', reason: 'Cannot respawn during active game round' }
+    },
+    playerRespawned: {
+        from: 'server',
+        description: 'Someone else is alive again',
+        fields: {
+            id: 'string',
+            netId: 'integer',
+            name: 'string',
+            position: 'vector3',
+            rotation: 'number',
+            health: 'number',
+            weapon: 'integer'
+        },
+        example: {
+            type: 'playerRespawned',
+            id: EXAMPLE_PLAYER.id,
+            netId: 1,
+            name: 'Dave',
+            position: EXAMPLE_POSITION,
+            rotation: 0,
+            health: 100,
+            weapon: 0
+        }
+    },
+    mapData: {
+        from: 'server',
+        description: 'The current map, in reply to requestMapData',
+        fields: { mapData: MAP_DATA },
+        example: { type: 'mapData', mapData: EXAMPLE_MAP }
+    },
+    pong: {
+        from: 'server',
+        description: 'Reply to ping',
+        fields: {},
+        example: { type: 'pong' }
+    },
+    error: {
+        from: 'server',
+        description: 'Something we sent was refused. messageType names the rejected message for invalidMessage errors',
+        fields: { code: 'string', message: 'string', messageType: 'string?' },
+        example: { type: 'error', code: 'invalidMessage', message: 'direction must be vector3', messageType: 'attack' }
+    },
+    matchState: {
+        from: 'server',
+        description: 'Match lifecycle state and the time left on its timer',
+        fields: {
+            state: { oneOf: MATCH_STATE_NAMES },
+            timeRemaining: 'number|null',
+            playerCount: 'integer',
+            minPlayers: 'integer'
+        },
+        example: { type: 'matchState', state: 'countdown', timeRemaining: 7500, playerCount: 3, minPlayers: 2 }
+    },
+    scoreboard: {
+        from: 'server',
+        description: 'Stats, status and ping of everyone in the room',
+        fields: {
+            players: {
+                array: {
+                    fields: {
+                        id: 'string',
+                        name: 'string',
+                        kills: 'integer',
+                        damageDealt: 'number',
+                        placement: 'integer|null',
+                        isAlive: 'boolean',
+                        isSpectator: 'boolean',
+                        connected: 'boolean',
+                        ping: 'number|null'
+                    }
+                }
+            }
+        },
+        example: {
+            type: 'scoreboard',
+            players: [{
+                id: EXAMPLE_PLAYER.id,
+                name: 'Dave',
+                kills: 2,
+                damageDealt: 180,
+                placement: null,
+                isAlive: true,
+                isSpectator: false,
+                connected: true,
+                ping: 48
+            }]
+        }
+    },
+    serverMessage: {
+        from: 'server',
+        description: 'Announcement from a server admin',
+        fields: { message: 'string' },
+        example: { type: 'serverMessage', message: 'Server restarting in 5 minutes' }
+    },
+    pickups: {
+        from: 'server',
+        description: 'Every pickup on the ground, sent when loot spawns or is cleared and when we join',
+        fields: { pickups: { array: PICKUP } },
+        example: {
+            type: 'pickups',
+            pickups: [{ id: 12, kind: 'weapon', item: 2, amount: 5, position: { x: 3, y: 0, z: -4 } }]
+        }
+    },
+    pickupDropped: {
+        from: 'server',
+        description: 'Items a player dropped, swapped out or left behind when they died, now on the ground',
+        fields: { pickups: { array: PICKUP } },
+        example: {
+            type: 'pickupDropped',
+            pickups: [{ id: 31, kind: 'ammo', item: 2, amount: 7, position: { x: 3, y: 0, z: -4 } }]
+        }
+    },
+    pickupTaken: {
+        from: 'server',
+        description: 'A player took a pickup off the ground',
+        fields: { pickupId: 'integer', id: 'string' },
+        example: { type: 'pickupTaken', pickupId: 12, id: EXAMPLE_PLAYER.id }
+    },
+    loadout: {
+        from: 'server',
+        description: 'Our inventory: the filled slots, the slot we hold a weapon from, our ammo for ranged weapons ' +
+            'and our armour. Only carried weapons can be switched to. reloadTimeRemaining is null unless we are ' +
+            'reloading; usingSlot and useTimeRemaining are null unless we are using a consumable',
+        fields: {
+            slots: { array: { fields: { slot: 'integer', kind: { oneOf: ['weapon', 'consumable'] }, item: 'integer', count: 'integer' } } },
+            selected: 'integer',
+            ammo: { array: { fields: { weapon: 'integer', magazine: 'integer', reserve: 'integer' } } },
+            armour: 'number',
+            reloadTimeRemaining: 'number|null',
+            usingSlot: 'integer|null',
+            useTimeRemaining: 'number|null'
+        },
+        example: {
+            type: 'loadout',
+            slots: [
+                { slot: 0, kind: 'weapon', item: 0, count: 1 },
+                { slot: 1, kind: 'weapon', item: 2, count: 1 }
+            ],
+            selected: 1,
+            ammo: [{ weapon: 2, magazine: 3, reserve: 10 }],
+            armour: 50,
+            reloadTimeRemaining: null,
+            usingSlot: null,
+            useTimeRemaining: null
+        }
+    }
+};
+
+// Reason a value doesn't match a field spec, or null if it does
+function checkValue(value, spec, path) {
+    if (typeof spec === 'string') {
+        const optional = spec.endsWith('?');
+        const types = (optional ? spec.slice(0, -1) : spec).split('|');
+
+        if (value === undefined) {
+            return optional ? null : `${path} is required`;
+        }
+        return types.some(type => TYPE_CHECKS[type](value)) ? null : `${path} must be ${types.join(' or ')}`;
+    }
+
+    if (value === undefined) {
+        return spec.optional ? null : `${path} is required`;
+    }
+
+    if (spec.oneOf) {
+        return spec.oneOf.includes(value) ? null : `${path} must be one of ${spec.oneOf.join(', ')}`;
+    }
+
+    if (spec.array) {
+        if (!Array.isArray(value)) return `${path} must be an array`;
+        for (let i = 0; i < value.length; i++) {
+            const error = checkValue(value[i], spec.array, `${path}[${i}]`);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    if (!isPlainObject(value)) return `${path} must be an object`;
+    return checkFields(value, spec.fields, `${path}.`);
+}
+
+function checkFields(object, fields, prefix) {
+    for (const name of Object.keys(fields)) {
+        const error = checkValue(object[name], fields[name], prefix + name);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Reason a decoded message isn't valid when received from the given side
+// ('client' or 'server'), or null if it is
+function validateMessage(message, from) {
+    if (!isPlainObject(message)) return 'Message must be an object';
+
+    const schema = Object.prototype.hasOwnProperty.call(MESSAGES, message.type) ? MESSAGES[message.type] : null;
+    if (!schema) return `Unknown message type: ${message.type}`;
+    if (schema.from !== from) return `${message.type} can't be sent by the ${from}`;
+
+    return checkFields(message, schema.fields, '');
+}
+
+// Make sure every documented example passes its own schema.
+// Throws on the first one that doesn't
+function validateExamples() {
+    Object.keys(MESSAGES).forEach(type => {
+        const schema = MESSAGES[type];
+        if (schema.example.type !== type) {
+            throw new Error(`Example for ${type} has type ${schema.example.type}`);
+        }
+
+        const error = validateMessage(schema.example, schema.from);
+        if (error) {
+            throw new Error(`Example for ${type} is invalid: ${error}`);
+        }
+    });
+}
+
+const SharedSchema = {
+    MESSAGES,
+    validateMessage,
+    validateExamples
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedSchema;
+} else {
+    globalThis.SharedSchema = SharedSchema;
+}
@@ -0,0 +1,186 @@
+// Weapon registry shared by the browser client and the Node server.
+// The server loads this file with require(), the client imports it for its
+// side effect and reads globalThis.SharedWeapons (see src/constants.js).
+//
+// Adding a weapon only means adding an entry here:
+//   name            - display name, must be unique
+//   damage          - damage per hit at close range
+//   range           - melee reach or projectile travel distance (world units)
+//   cooldown        - milliseconds between attacks
+//   projectile      - true for ranged weapons
+//   projectileSpeed - world units per second (ranged weapons only)
+//   spread          - max random deviation from the aim direction in radians.
+//                     The server rolls it for every shot; the client rolls its
+//                     own only to draw the shot straight away
+//   falloff         - null, or { start, end, minMultiplier }: damage drops linearly
+//                     from full at `start` to damage * minMultiplier at `end`
+//   color           - weapon model color
+//   lootWeight      - how often it lies on the ground as a pickup, relative to
+//                     the other weapons. 0 never spawns as loot
+//   magazineSize    - rounds fired before a reload (ranged weapons only, 0 for melee)
+//   maxReserve      - most spare rounds a player can carry for it
+//   reloadTime      - milliseconds to refill the magazine from the reserve
+//   ammoBoxRounds   - rounds in one of its ammo box pickups
+const WEAPONS = [
+    {
+        name: 'Kitchen Knife',
+        damage: 25,
+        range: 2,
+        cooldown: 200,
+        projectile: false,
+        projectileSpeed: 0,
+        spread: 0,
+        falloff: null,
+        color: 0xcccccc,
+        lootWeight: 0, // Everyone starts with one
+        magazineSize: 0,
+        maxReserve: 0,
+        reloadTime: 0,
+        ammoBoxRounds: 0
+    },
+    {
+        name: 'Cricket Bat',
+        damage: 35,
+        range: 3,
+        cooldown: 400,
+        projectile: false,
+        projectileSpeed: 0,
+        spread: 0,
+        falloff: null,
+        color: 0x8B4513,
+        lootWeight: 3,
+        magazineSize: 0,
+        maxReserve: 0,
+        reloadTime: 0,
+        ammoBoxRounds: 0
+    },
+    {
+        name: 'Crossbow',
+        damage: 50,
+        range: 15,
+        cooldown: 800,
+        projectile: true,
+        projectileSpeed: 24,
+        spread: 0.03,
+        falloff: { start: 8, end: 15, minMultiplier: 0.6 },
+        color: 0x8B4513,
+        lootWeight: 1,
+        magazineSize: 5,
+        maxReserve: 20,
+        reloadTime: 2000,
+        ammoBoxRounds: 10
+    }
+];
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Check every weapon definition and throw on the first bad one
+function validateWeapons(weapons) {
+    if (!Array.isArray(weapons) || weapons.length === 0) {
+        throw new Error('Weapon registry must be a non-empty array');
+    }
+
+    const names = new Set();
+
+    weapons.forEach((weapon, index) => {
+        const fail = (reason) => {
+            const label = weapon && weapon.name ? ` ("${weapon.name}")` : '';
+            throw new Error(`Invalid weapon definition at index ${index}${label}: ${reason}`);
+        };
+
+        if (!weapon || typeof weapon !== 'object') fail('must be an object');
+        if (typeof weapon.name !== 'string' || weapon.name.trim() === '') fail('name must be a non-empty string');
+        if (names.has(weapon.name)) fail('name must be unique');
+        names.add(weapon.name);
+
+        if (!isPositiveNumber(weapon.damage)) fail('damage must be a positive number');
+        if (!isPositiveNumber(weapon.range)) fail('range must be a positive number');
+        if (!isNonNegativeNumber(weapon.cooldown)) fail('cooldown must be a non-negative number');
+        if (typeof weapon.projectile !== 'boolean') fail('projectile must be true or false');
+
+        if (weapon.projectile && !isPositiveNumber(weapon.projectileSpeed)) {
+            fail('projectileSpeed must be a positive number for ranged weapons');
+        }
+        if (!weapon.projectile && weapon.projectileSpeed !== 0) {
+            fail('projectileSpeed must be 0 for melee weapons');
+        }
+
+        if (!isNonNegativeNumber(weapon.spread) || weapon.spread >= Math.PI / 2) {
+            fail('spread must be between 0 and PI/2 radians');
+        }
+
+        if (weapon.falloff !== null) {
+            const falloff = weapon.falloff;
+            if (!falloff || typeof falloff !== 'object') fail('falloff must be null or an object');
+            if (!isNonNegativeNumber(falloff.start)) fail('falloff.start must be a non-negative number');
+            if (!isPositiveNumber(falloff.end) || falloff.end <= falloff.start) fail('falloff.end must be greater than falloff.start');
+            if (!isNonNegativeNumber(falloff.minMultiplier) || falloff.minMultiplier > 1) {
+                fail('falloff.minMultiplier must be between 0 and 1');
+            }
+        }
+
+        if (!Number.isInteger(weapon.color)) fail('color must be an integer');
+        if (!isNonNegativeNumber(weapon.lootWeight)) fail('lootWeight must be a non-negative number');
+
+        if (weapon.projectile) {
+            if (!Number.isInteger(weapon.magazineSize) || weapon.magazineSize <= 0) {
+                fail('magazineSize must be a positive integer for ranged weapons');
+            }
+            if (!Number.isInteger(weapon.maxReserve) || weapon.maxReserve < 0) fail('maxReserve must be a non-negative integer');
+            if (!isNonNegativeNumber(weapon.reloadTime)) fail('reloadTime must be a non-negative number');
+            if (!Number.isInteger(weapon.ammoBoxRounds) || weapon.ammoBoxRounds <= 0) {
+                fail('ammoBoxRounds must be a positive integer for ranged weapons');
+            }
+        } else if (weapon.magazineSize !== 0 || weapon.maxReserve !== 0 || weapon.reloadTime !== 0 || weapon.ammoBoxRounds !== 0) {
+            fail('magazineSize, maxReserve, reloadTime and ammoBoxRounds must be 0 for melee weapons');
+        }
+    });
+
+    return weapons;
+}
+
+// Whether a weapon fires from a magazine that needs reloading
+function usesAmmo(weapon) {
+    return weapon.magazineSize > 0;
+}
+
+// Look up a weapon by index, returns undefined for unknown indices
+function getWeapon(index) {
+    return Number.isInteger(index) ? WEAPONS[index] : undefined;
+}
+
+// Damage dealt by a weapon at a given distance, taking falloff into account
+function getDamageAtDistance(weapon, distance) {
+    const falloff = weapon.falloff;
+    if (!falloff || distance <= falloff.start) {
+        return weapon.damage;
+    }
+
+    if (distance >= falloff.end) {
+        return Math.round(weapon.damage * falloff.minMultiplier);
+    }
+
+    const t = (distance - falloff.start) / (falloff.end - falloff.start);
+    return Math.round(weapon.damage * (1 - t * (1 - falloff.minMultiplier)));
+}
+
+const SharedWeapons = {
+    WEAPONS,
+    validateWeapons,
+    getWeapon,
+    getDamageAtDistance,
+    usesAmmo
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedWeapons;
+} else {
+    globalThis.SharedWeapons = SharedWeapons;
+}
@@ -0,0 +1,172 @@
+// Safe zone shared by the browser client and the Node server. A match's zone
+// runs through a schedule of phases. Each phase waits, then shrinks the circle
+// steadily to a smaller one somewhere inside it, and hurts anyone outside the
+// circle while it lasts. The server plans every circle when the match starts
+// and sends the plan once; both sides work out the circle at any moment from
+// the plan and the time since the zone started.
+//
+// A phase:
+//   wait            - seconds the circle holds before shrinking
+//   shrink          - seconds the shrink takes
+//   radius          - radius it shrinks to, as a share of half the arena size,
+//                     so one schedule fits every map
+//   damagePerSecond - damage to players outside the zone during the phase
+//
+// A plan on the wire:
+//   { circles: [{ x, z, radius }], phases: [...], elapsed: 12500 }
+// where circles[0] is the starting circle and circles[i + 1] is where phase i
+// ends. elapsed is milliseconds since the zone started.
+
+const DEFAULT_ZONE_PHASES = [
+    { wait: 60, shrink: 40, radius: 0.7, damagePerSecond: 1 },
+    { wait: 45, shrink: 35, radius: 0.4, damagePerSecond: 2 },
+    { wait: 35, shrink: 30, radius: 0.2, damagePerSecond: 4 },
+    { wait: 25, shrink: 25, radius: 0.08, damagePerSecond: 6 },
+    { wait: 20, shrink: 20, radius: 0, damagePerSecond: 10 }
+];
+
+const MAX_ZONE_PHASES = 20;
+const MAX_PHASE_SECONDS = 600;
+const CIRCLE_ATTEMPTS = 50; // Random picks for a circle before settling on a safe one
+
+function isNumberBetween(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Reason a phase schedule is invalid, or null if it's fine
+function validateZonePhases(phases) {
+    if (!Array.isArray(phases) || phases.length === 0 || phases.length > MAX_ZONE_PHASES) {
+        return `phases must be a list of 1 to ${MAX_ZONE_PHASES} phases`;
+    }
+
+    let previousRadius = 1;
+    for (let i = 0; i < phases.length; i++) {
+        const phase = phases[i];
+        const label = `phases[${i}]`;
+        if (typeof phase !== 'object' || phase === null) return `${label} must be an object`;
+        if (!isNumberBetween(phase.wait, 0, MAX_PHASE_SECONDS)) return `${label}.wait must be 0 to ${MAX_PHASE_SECONDS} seconds`;
+        if (!isNumberBetween(phase.shrink, 0, MAX_PHASE_SECONDS)) return `${label}.shrink must be 0 to ${MAX_PHASE_SECONDS} seconds`;
+        if (!isNumberBetween(phase.radius, 0, previousRadius)) {
+            return `${label}.radius must be between 0 and the previous phase's radius (${previousRadius})`;
+        }
+        if (!isNumberBetween(phase.damagePerSecond, 0, 100)) return `${label}.damagePerSecond must be 0 to 100`;
+        previousRadius = phase.radius;
+    }
+    return null;
+}
+
+// The zone before any shrinking: a circle round the whole arena, corners included
+function getStartCircle(arenaSize) {
+    return { x: 0, z: 0, radius: arenaSize * Math.SQRT1_2 };
+}
+
+// Centre for the next circle, radius `radius`, inside `circle` and, where it
+// can be, inside the arena. With a target (one of the map's zone end circles)
+// the zone closes in on it: each circle contains the target while it's bigger
+// and sits inside it once it's smaller
+function pickCentre(circle, radius, target, arenaSize, random) {
+    const room = circle.radius - radius; // How far the centre can move
+    const halfArena = arenaSize / 2;
+    const fits = point => {
+        if (Math.abs(point.x) + radius > halfArena || Math.abs(point.z) + radius > halfArena) return false;
+        if (!target) return true;
+        const distance = Math.hypot(point.x - target.x, point.z - target.z);
+        return distance <= Math.abs(radius - target.radius);
+    };
+
+    for (let attempt = 0; attempt < CIRCLE_ATTEMPTS; attempt++) {
+        const angle = random() * Math.PI * 2;
+        const distance = Math.sqrt(random()) * room; // Uniform over the disc
+        const point = { x: circle.x + Math.cos(angle) * distance, z: circle.z + Math.sin(angle) * distance };
+        if (fits(point)) return point;
+    }
+
+    // As far towards the target (or the middle of the arena) as the current
+    // circle allows. That always keeps the target where it should be
+    const aim = target || { x: 0, z: 0 };
+    const toAim = Math.hypot(aim.x - circle.x, aim.z - circle.z);
+    const step = toAim > 0 ? Math.min(toAim, room) / toAim : 0;
+    return { x: circle.x + (aim.x - circle.x) * step, z: circle.z + (aim.z - circle.z) * step };
+}
+
+// Plan every circle of a match's zone. endCircles are the map's zone end
+// circles: the zone closes in on one of those that fits in the starting circle,
+// or anywhere when there are none
+function planZone(arenaSize, phases, endCircles = [], random = Math.random) {
+    const start = getStartCircle(arenaSize);
+    const targets = endCircles.filter(circle => Math.hypot(circle.x, circle.z) + circle.radius <= start.radius);
+    const target = targets.length > 0 ? targets[Math.floor(random() * targets.length)] : null;
+
+    const circles = [start];
+    phases.forEach(phase => {
+        const radius = phase.radius * arenaSize / 2;
+        const centre = pickCentre(circles[circles.length - 1], radius, target, arenaSize, random);
+        circles.push({ x: centre.x, z: centre.z, radius: radius });
+    });
+    return { circles: circles, phases: phases.map(phase => Object.assign({}, phase)) };
+}
+
+// Where the zone is `elapsed` milliseconds after it started:
+//   phase           - index of the current phase, phases.length once the last has finished
+//   shrinking       - whether the circle is moving right now
+//   circle          - the safe circle now
+//   next            - the circle the current phase ends at, null once the zone is finished
+//   damagePerSecond - what being outside the circle costs
+//   timeRemaining   - milliseconds until the wait or shrink ends, null once finished
+function getZoneState(plan, elapsed) {
+    let time = Math.max(0, elapsed);
+    for (let i = 0; i < plan.phases.length; i++) {
+        const phase = plan.phases[i];
+        const from = plan.circles[i];
+        const to = plan.circles[i + 1];
+        const wait = phase.wait * 1000;
+        const shrink = phase.shrink * 1000;
+
+        if (time < wait) {
+            return { phase: i, shrinking: false, circle: from, next: to, damagePerSecond: phase.damagePerSecond, timeRemaining: wait - time };
+        }
+        time -= wait;
+        if (time < shrink) {
+            const t = time / shrink;
+            const circle = {
+                x: from.x + (to.x - from.x) * t,
+                z: from.z + (to.z - from.z) * t,
+                radius: from.radius + (to.radius - from.radius) * t
+            };
+            return { phase: i, shrinking: true, circle: circle, next: to, damagePerSecond: phase.damagePerSecond, timeRemaining: shrink - time };
+        }
+        time -= shrink;
+    }
+
+    // The last circle holds for the rest of the match
+    const last = plan.phases[plan.phases.length - 1];
+    return {
+        phase: plan.phases.length,
+        shrinking: false,
+        circle: plan.circles[plan.circles.length - 1],
+        next: null,
+        damagePerSecond: last ? last.damagePerSecond : 0,
+        timeRemaining: null
+    };
+}
+
+function isOutsideZone(position, circle) {
+    return Math.hypot(position.x - circle.x, position.z - circle.z) > circle.radius;
+}
+
+const SharedZone = {
+    DEFAULT_ZONE_PHASES,
+    MAX_ZONE_PHASES,
+    validateZonePhases,
+    getStartCircle,
+    planZone,
+    getZoneState,
+    isOutsideZone
+};
+
+// Export for Node (server) or expose globally for the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedZone;
+} else {
+    globalThis.SharedZone = SharedZone;
+}
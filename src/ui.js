@@ -1,16 +1,233 @@
 // UI-related functions
 import THREE from './three-module.js';
+import './shared/consumables.js';
 
-export function updateUI(score, health, currentWeapon) {
+const { MAX_ARMOUR } = globalThis.SharedConsumables;
+
+export function updateUI(score, health, armour, currentWeapon, ammoText, itemUseText) {
     document.getElementById('score').textContent = score;
     document.getElementById('health-bar').style.width = health + '%';
+    document.getElementById('armour-bar').style.width = (armour / MAX_ARMOUR * 100) + '%';
     document.getElementById('weapon').textContent = 'Weapon: ' + currentWeapon.name;
+    
+    // Only ranged weapons have an ammo counter
+    const ammo = document.getElementById('ammo');
+    ammo.textContent = ammoText;
+    ammo.style.display = ammoText ? 'block' : 'none';
+    
+    const itemUse = document.getElementById('item-use');
+    itemUse.textContent = itemUseText;
+    itemUse.style.display = itemUseText ? 'block' : 'none';
+}
+
+// Hotbar of inventory slots: { name, count } or null for each, with the held slot highlighted
+export function renderInventory(slots, selected) {
+    const inventory = document.getElementById('inventory');
+    if (!inventory) return;
+    
+    inventory.innerHTML = '';
+    slots.forEach((entry, index) => {
+        const slot = document.createElement('div');
+        slot.className = 'inventory-slot' + (index === selected ? ' selected' : '') + (entry ? '' : ' empty');
+        
+        const key = document.createElement('span');
+        key.className = 'inventory-key';
+        key.textContent = index + 1;
+        slot.appendChild(key);
+        
+        if (entry) {
+            slot.appendChild(document.createTextNode(entry.count > 1 ? `${entry.name} x${entry.count}` : entry.name));
+        }
+        inventory.appendChild(slot);
+    });
 }
 
 export function updateVersion(version) {
     document.getElementById('version').textContent = 'v' + version;
 }
 
+// "Press E to pick up ..." hint, hidden when text is empty
+export function showPickupPrompt(text) {
+    const prompt = document.getElementById('pickup-prompt');
+    if (!prompt || prompt.textContent === text) return;
+    
+    prompt.textContent = text;
+    prompt.style.display = text ? 'block' : 'none';
+}
+
+// Match state line at the top of the screen, hidden when text is empty
+export function showMatchStatus(text) {
+    const status = document.getElementById('match-status');
+    if (!status || status.textContent === text) return;
+    
+    status.textContent = text;
+    status.style.display = text ? 'block' : 'none';
+}
+
+// Show the name prompt. onSubmit gets the typed name and returns an error
+// message to keep the prompt open, or null to close it
+export function promptForName(defaultName, error, onSubmit) {
+    const form = document.getElementById('name-form');
+    const input = document.getElementById('name-input');
+    const errorElement = document.getElementById('name-error');
+    
+    input.value = defaultName || '';
+    errorElement.textContent = error || '';
+    form.style.display = 'block';
+    input.focus();
+    
+    form.onsubmit = (event) => {
+        event.preventDefault();
+        
+        const submitError = onSubmit(input.value);
+        if (submitError) {
+            errorElement.textContent = submitError;
+        } else {
+            form.style.display = 'none';
+            input.blur();
+        }
+    };
+}
+
+// Text sprite that floats above another player with their name
+export function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 64;
+    
+    context.font = 'bold 32px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.strokeStyle = 'black';
+    context.lineWidth = 6;
+    context.fillStyle = 'white';
+    context.strokeText(name, canvas.width / 2, canvas.height / 2);
+    context.fillText(name, canvas.width / 2, canvas.height / 2);
+    
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(2, 0.5, 1);
+    
+    return sprite;
+}
+
+// Spectator info panel, one entry per line. Pass null to hide it
+export function showSpectatorHud(lines) {
+    const hud = document.getElementById('spectator-hud');
+    if (!hud) return;
+    
+    const text = lines ? lines.join('\n') : '';
+    if (hud.textContent !== text) {
+        hud.textContent = text;
+    }
+    hud.style.display = lines ? 'block' : 'none';
+}
+
+// Most kill feed lines shown at once
+const KILL_FEED_LENGTH = 5;
+
+// Add a line to the kill feed, removed after a few seconds
+export function addKillFeedEntry(text) {
+    const feed = document.getElementById('kill-feed');
+    const entry = document.createElement('div');
+    entry.className = 'kill-feed-entry';
+    entry.textContent = text;
+    feed.appendChild(entry);
+    
+    // Drop the oldest lines when it gets busy
+    while (feed.children.length > KILL_FEED_LENGTH) {
+        feed.removeChild(feed.firstChild);
+    }
+    
+    setTimeout(() => {
+        if (entry.parentNode) {
+            feed.removeChild(entry);
+        }
+    }, 5000);
+}
+
+// Fill the scoreboard table, best players first
+export function renderScoreboard(players, ownId) {
+    const rows = document.getElementById('scoreboard-rows');
+    rows.textContent = '';
+    
+    const sorted = players.slice().sort((a, b) =>
+        b.kills - a.kills ||
+        b.damageDealt - a.damageDealt ||
+        (a.placement || 0) - (b.placement || 0)
+    );
+    
+    sorted.forEach(player => {
+        let status;
+        if (!player.connected) {
+            status = 'Disconnected';
+        } else if (player.isSpectator) {
+            status = 'Spectating';
+        } else if (player.isAlive) {
+            status = player.placement === 1 ? 'Winner' : 'Alive';
+        } else {
+            status = player.placement ? `Eliminated (#${player.placement})` : 'Eliminated';
+        }
+        
+        const row = document.createElement('tr');
+        if (player.id === ownId) {
+            row.className = 'own-row';
+        }
+        
+        [
+            player.name,
+            player.kills,
+            player.damageDealt,
+            status,
+            player.ping !== null ? `${player.ping} ms` : '-'
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        
+        rows.appendChild(row);
+    });
+}
+
+export function showScoreboard(visible) {
+    document.getElementById('scoreboard').style.display = visible ? 'block' : 'none';
+}
+
+// Fill the all-time leaderboard panel from /api/leaderboard
+export function renderLeaderboard(players) {
+    const rows = document.getElementById('leaderboard-rows');
+    rows.textContent = '';
+    
+    if (players.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.textContent = 'No matches played yet';
+        row.appendChild(cell);
+        rows.appendChild(row);
+        return;
+    }
+    
+    players.forEach((player, index) => {
+        const row = document.createElement('tr');
+        [index + 1, player.name, player.wins, player.kills, player.kd.toFixed(2), player.matches].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+    });
+}
+
+export function showLeaderboard(visible) {
+    document.getElementById('leaderboard').style.display = visible ? 'block' : 'none';
+}
+
 export function showMessage(text) {
     const messagesContainer = document.getElementById('messages');
     const message = document.createElement('div');
@@ -11,6 +11,7 @@ export class InputHandler {
         document.addEventListener('keyup', this.onKeyUp.bind(this));
         document.addEventListener('mousedown', this.onMouseDown.bind(this));
         document.addEventListener('mousemove', this.onMouseMove.bind(this));
+        document.addEventListener('wheel', this.onWheel.bind(this));
         
         // Set up restart button
         document.getElementById('restart').addEventListener('click', () => {
@@ -27,6 +28,37 @@ export class InputHandler {
     onKeyDown(event) {
         if (this.game.gameOver) return;
         
+        // Typing in a form field (e.g. the name prompt) shouldn't move the player
+        if (event.target.tagName === 'INPUT') return;
+        
+        // Hold Tab to see the scoreboard
+        if (event.key === 'Tab') {
+            event.preventDefault();
+            this.game.setScoreboardVisible(true);
+            return;
+        }
+        
+        // L toggles the all-time leaderboard
+        if (event.key === 'l' && !event.repeat) {
+            this.game.toggleLeaderboard();
+            return;
+        }
+        
+        // Spectator controls. A key they use does nothing else, e.g. E doesn't also pick up loot
+        if (this.game.spectator.active) {
+            switch (event.key) {
+                case 'q':
+                    this.game.spectator.cycle(-1);
+                    return;
+                case 'e':
+                    this.game.spectator.cycle(1);
+                    return;
+                case 'f':
+                    this.game.spectator.toggleFreeFly();
+                    return;
+            }
+        }
+        
         switch(event.key) {
             case 'w': case 'ArrowUp':
                 this.player.keys.up = true;
@@ -40,16 +72,28 @@ export class InputHandler {
             case 'd': case 'ArrowRight':
                 this.player.keys.right = true;
                 break;
-            case '1': case '2': case '3': case '4':
-                const weaponIndex = parseInt(event.key) - 1;
-                if (weaponIndex >= 0 && weaponIndex < this.game.weapons.length) {
-                    this.player.setWeapon(this.game.weapons[weaponIndex]);
-                }
+            case '1': case '2': case '3': case '4': case '5':
+                // Hold a weapon or use a consumable
+                this.game.activateSlot(parseInt(event.key) - 1);
+                break;
+            case 'e':
+                this.game.pickUpNearest();
+                break;
+            case 'g':
+                this.game.dropHeldItem();
+                break;
+            case 'r':
+                this.game.toggleReload();
                 break;
         }
     }
     
     onKeyUp(event) {
+        if (event.key === 'Tab') {
+            this.game.setScoreboardVisible(false);
+            return;
+        }
+        
         switch(event.key) {
             case 'w': case 'ArrowUp':
                 this.player.keys.up = false;
@@ -71,6 +115,12 @@ export class InputHandler {
         this.player.attack();
     }
     
+    // Scroll through the weapons we carry
+    onWheel(event) {
+        if (this.game.gameOver || event.deltaY === 0) return;
+        this.game.cycleWeapon(event.deltaY > 0 ? 1 : -1);
+    }
+    
     onMouseMove(event) {
         if (this.game.gameOver) return;
         
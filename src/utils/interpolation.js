@@ -0,0 +1,123 @@
+// Snapshot interpolation helpers for rendering remote players smoothly
+
+// Number of clock samples used to estimate the server time offset
+const CLOCK_SAMPLES = 30;
+
+// Shortest signed difference between two angles
+function angleDelta(from, to) {
+    let delta = (to - from) % (Math.PI * 2);
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+    return delta;
+}
+
+// Estimates server time from snapshot timestamps
+export class ServerClock {
+    constructor() {
+        this.samples = [];
+        this.offset = null;
+    }
+
+    // Record a server timestamp as it arrives
+    update(serverTime) {
+        this.samples.push(serverTime - Date.now());
+        if (this.samples.length > CLOCK_SAMPLES) {
+            this.samples.shift();
+        }
+
+        // The least delayed packet gives the best estimate, late packets only add jitter
+        this.offset = Math.max(...this.samples);
+    }
+
+    // Current server time as seen from this client
+    now() {
+        return Date.now() + (this.offset || 0);
+    }
+
+    reset() {
+        this.samples = [];
+        this.offset = null;
+    }
+}
+
+// Timeline of server states for one remote entity
+export class SnapshotBuffer {
+    constructor(maxSize = 32) {
+        this.maxSize = maxSize;
+        this.states = [];
+    }
+
+    // Add a state received from the server
+    push(time, position, rotation) {
+        const last = this.states[this.states.length - 1];
+
+        // Ignore states that arrive out of order
+        if (last && time <= last.time) return;
+
+        this.states.push({
+            time: time,
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            rotation: rotation
+        });
+
+        if (this.states.length > this.maxSize) {
+            this.states.shift();
+        }
+    }
+
+    clear() {
+        this.states = [];
+    }
+
+    // Get the interpolated state at renderTime, extrapolating at most maxExtrapolation ms
+    sample(renderTime, maxExtrapolation) {
+        const states = this.states;
+        if (states.length === 0) return null;
+
+        const first = states[0];
+        const last = states[states.length - 1];
+
+        // Not enough history yet - hold the oldest state
+        if (renderTime <= first.time || states.length === 1) {
+            return { x: first.x, y: first.y, z: first.z, rotation: first.rotation };
+        }
+
+        // Packets are late - continue along the last known velocity for a short while
+        if (renderTime >= last.time) {
+            const previous = states[states.length - 2];
+            const span = last.time - previous.time;
+            const ahead = Math.min(renderTime - last.time, maxExtrapolation) / span;
+
+            return {
+                x: last.x + (last.x - previous.x) * ahead,
+                y: last.y,
+                z: last.z + (last.z - previous.z) * ahead,
+                rotation: last.rotation
+            };
+        }
+
+        // Find the two states around renderTime and blend between them
+        let index = states.length - 1;
+        while (index > 0 && states[index - 1].time > renderTime) {
+            index--;
+        }
+
+        const from = states[index - 1];
+        const to = states[index];
+        const t = (renderTime - from.time) / (to.time - from.time);
+
+        // Drop states we'll never need again
+        if (index > 1) {
+            this.states.splice(0, index - 1);
+        }
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t,
+            rotation: from.rotation + angleDelta(from.rotation, to.rotation) * t
+        };
+    }
+}
@@ -0,0 +1,109 @@
+// Camera control for eliminated players and late joiners: follow a living
+// player or fly freely over the arena until the next round
+import { CAMERA_HEIGHT, OVERVIEW_CAMERA_HEIGHT, FREE_CAMERA_SPEED } from '../constants.js';
+import { showSpectatorHud } from '../ui.js';
+import THREE from '../three-module.js';
+
+export class Spectator {
+    constructor(game) {
+        this.game = game;
+        this.active = false;
+        this.mode = 'follow'; // 'follow' a living player or 'free' overview
+        this.targetId = null;
+        this.freePosition = new THREE.Vector3();
+    }
+
+    start() {
+        if (this.active) return;
+
+        this.active = true;
+        this.mode = 'follow';
+        this.targetId = null;
+        this.freePosition.set(this.game.camera.position.x, 0, this.game.camera.position.z);
+        this.cycle(1);
+    }
+
+    // Put the camera back where the game normally keeps it
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.targetId = null;
+        this.game.camera.position.set(0, CAMERA_HEIGHT, 0);
+        this.game.camera.lookAt(0, 0, 0);
+        showSpectatorHud(null);
+    }
+
+    // Follow the next (1) or previous (-1) living player
+    cycle(direction) {
+        // Only living players are kept in otherPlayers
+        const targets = Array.from(this.game.otherPlayers.keys());
+        if (targets.length === 0) {
+            this.targetId = null;
+            return;
+        }
+
+        const index = targets.indexOf(this.targetId);
+        const next = index === -1
+            ? (direction > 0 ? 0 : targets.length - 1)
+            : (index + direction + targets.length) % targets.length;
+
+        this.targetId = targets[next];
+        this.mode = 'follow';
+    }
+
+    // Switch between following a player and the free overview camera
+    toggleFreeFly() {
+        if (this.mode === 'free') {
+            this.mode = 'follow';
+            if (!this.game.otherPlayers.has(this.targetId)) this.cycle(1);
+        } else {
+            this.mode = 'free';
+            this.freePosition.set(this.game.camera.position.x, 0, this.game.camera.position.z);
+        }
+    }
+
+    update(dt) {
+        if (!this.active) return;
+
+        const camera = this.game.camera;
+
+        if (this.mode === 'follow') {
+            // Our target was eliminated or left - move on to someone else
+            if (!this.game.otherPlayers.has(this.targetId)) this.cycle(1);
+
+            const target = this.game.otherPlayers.get(this.targetId);
+            if (target) {
+                camera.position.set(target.position.x, CAMERA_HEIGHT, target.position.z);
+                camera.lookAt(target.position.x, 0, target.position.z);
+
+                showSpectatorHud([
+                    `Spectating ${target.name}`,
+                    `Health: ${Math.max(0, Math.round(target.health))} | ${target.weapon.name}`,
+                    'Q/E: switch player | F: free camera'
+                ]);
+                return;
+            }
+        }
+
+        // Free-fly overview, moved with the movement keys
+        const keys = this.game.player.keys;
+        const distance = FREE_CAMERA_SPEED * dt / 1000;
+        if (keys.up) this.freePosition.z -= distance;
+        if (keys.down) this.freePosition.z += distance;
+        if (keys.left) this.freePosition.x -= distance;
+        if (keys.right) this.freePosition.x += distance;
+        // Stay over the arena
+        const halfArena = this.game.arenaSize / 2;
+        this.freePosition.x = Math.max(-halfArena, Math.min(halfArena, this.freePosition.x));
+        this.freePosition.z = Math.max(-halfArena, Math.min(halfArena, this.freePosition.z));
+
+        camera.position.set(this.freePosition.x, OVERVIEW_CAMERA_HEIGHT, this.freePosition.z);
+        camera.lookAt(this.freePosition.x, 0, this.freePosition.z);
+
+        showSpectatorHud([
+            'Free camera',
+            this.game.otherPlayers.size > 0 ? 'WASD: move | Q/E: follow a player | F: follow camera' : 'WASD: move'
+        ]);
+    }
+}
@@ -0,0 +1,21 @@
+// Binary framing: the type in a frame's header is the message's type
+const test = require('node:test');
+const assert = require('node:assert');
+const { PROTOCOL_VERSION, MESSAGE_TYPE_IDS, decodeMessage } = require('../src/shared/protocol.js');
+
+// A frame for a message with a JSON payload, written by hand like a modified client could
+function frame(type, payload) {
+    const json = new TextEncoder().encode(JSON.stringify(payload));
+    return Uint8Array.from([PROTOCOL_VERSION, MESSAGE_TYPE_IDS[type], ...json]);
+}
+
+test('a type in the payload does not replace the header type', () => {
+    const message = decodeMessage(frame('ping', { type: 'requestMapData', clientTime: 1 }));
+    assert.strictEqual(message.type, 'ping');
+});
+
+test('payloads that are not objects are refused', () => {
+    assert.throws(() => decodeMessage(frame('ping', 'text')), /payload/);
+    assert.throws(() => decodeMessage(frame('ping', null)), /payload/);
+    assert.throws(() => decodeMessage(frame('ping', [1, 2])), /payload/);
+});
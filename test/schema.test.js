@@ -0,0 +1,73 @@
+// Every documented message example must survive both wire encodings and pass
+// its own schema, and malformed messages must be refused
+const test = require('node:test');
+const assert = require('node:assert');
+const { MESSAGES, validateMessage } = require('../src/shared/schema.js');
+const { ENCODINGS, MESSAGE_TYPE_IDS, encodeMessage, decodeMessage } = require('../src/shared/protocol.js');
+
+// The binary codecs quantise positions and angles, so numbers only need to be close
+const BINARY_TOLERANCE = 0.01;
+
+function assertClose(actual, expected, path) {
+    if (typeof expected === 'number') {
+        assert.ok(Math.abs(actual - expected) <= BINARY_TOLERANCE, `${path}: ${actual} is not close to ${expected}`);
+    } else if (typeof expected === 'object' && expected !== null) {
+        assert.strictEqual(typeof actual, 'object', `${path} should be an object`);
+        Object.keys(expected).forEach(key => assertClose(actual[key], expected[key], `${path}.${key}`));
+    } else {
+        assert.strictEqual(actual, expected, path);
+    }
+}
+
+Object.keys(MESSAGES).forEach(type => {
+    const schema = MESSAGES[type];
+
+    test(`${type} example passes its schema`, () => {
+        assert.strictEqual(schema.example.type, type);
+        assert.strictEqual(validateMessage(schema.example, schema.from), null);
+    });
+
+    ENCODINGS.forEach(encoding => {
+        // The hello is always JSON text, so it has no binary type ID
+        if (encoding === 'binary' && !MESSAGE_TYPE_IDS[type]) return;
+
+        test(`${type} example round-trips as ${encoding}`, () => {
+            const decoded = decodeMessage(encodeMessage(schema.example, encoding));
+            assert.strictEqual(validateMessage(decoded, schema.from), null);
+            if (encoding === 'json') {
+                assert.deepStrictEqual(decoded, schema.example);
+            } else {
+                assertClose(decoded, schema.example, type);
+            }
+        });
+    });
+});
+
+test('messages from the wrong side are refused', () => {
+    assert.match(validateMessage(MESSAGES.playerInput.example, 'server'), /can't be sent by the server/);
+});
+
+test('unknown message types are refused', () => {
+    assert.match(validateMessage({ type: 'playerUpdate' }, 'client'), /Unknown message type/);
+    assert.notStrictEqual(validateMessage('playerInput', 'client'), null);
+});
+
+// Movement used to arrive as a playerUpdate with a position. Clients now send
+// playerInput, which carries keys and time instead, and positions come from the server
+test('missing fields are refused', () => {
+    const input = Object.assign({}, MESSAGES.playerInput.example);
+    delete input.dt;
+    assert.match(validateMessage(input, 'client'), /dt/);
+
+    const joined = Object.assign({}, MESSAGES.playerJoined.example);
+    delete joined.position;
+    assert.match(validateMessage(joined, 'server'), /position/);
+});
+
+test('fields of the wrong type are refused', () => {
+    const input = Object.assign({}, MESSAGES.playerInput.example, { rotation: 'north' });
+    assert.match(validateMessage(input, 'client'), /rotation/);
+
+    const attack = Object.assign({}, MESSAGES.attack.example, { direction: { x: 1, y: 0 } });
+    assert.match(validateMessage(attack, 'client'), /direction/);
+});